@@ -22,13 +22,18 @@ module.exports = class AuthenticationDetails {
    * @param {object=} data Creation options.
    * @param {string} data.Username User being authenticated.
    * @param {string} data.Password Plain-text password to authenticate with.
-   * @param {(AttributeArg[])?} data.ValidationData Application extra metadata.
+   * @param {(AttributeArg[])?} data.ValidationData Application extra metadata. InitiateAuth
+   *        has no ValidationData, so it is not sent when authenticating.
+   * @param {object=} data.ClientMetadata Key-value pairs for the Lambda triggers, merged
+   *        over the pool's ClientMetadata. Cognito hands them to the pre authentication
+   *        and user migration triggers as their validationData.
    */
   constructor(data) {
     const ValidationData = data.ValidationData || '';
     const Username = data.Username;
     const Password = data.Password;
     this.validationData = ValidationData || [];
+    this.clientMetadata = data.ClientMetadata || null;
     this.username = Username;
     this.password = Password;
   }
@@ -53,4 +58,11 @@ module.exports = class AuthenticationDetails {
   getValidationData() {
     return this.validationData;
   }
+
+  /**
+   * @returns {object} the record's clientMetadata, or null if none was given
+   */
+  getClientMetadata() {
+    return this.clientMetadata;
+  }
 }
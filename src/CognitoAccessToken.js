@@ -15,33 +15,30 @@
  * limitations under the License.
  */
 'use strict'
-var sjcl = require('sjcl');
+var CognitoJwtToken = require('./CognitoJwtToken');
 
 /** @class */
-module.exports = class CognitoAccessToken {
+module.exports = class CognitoAccessToken extends CognitoJwtToken {
   /**
    * Constructs a new CognitoAccessToken object
    * @param {string=} AccessToken The JWT access token.
    */
   constructor(data) {
-    // Assign object
-    this.jwtToken = data.AccessToken || '';
+    super(data.AccessToken);
   }
 
   /**
-   * @returns {string} the record's token.
+   * @returns {string} the username the token was issued to (username member).
    */
-  getJwtToken() {
-    return this.jwtToken;
+  getUsername() {
+    return this.getClaim('username');
   }
 
   /**
-   * @returns {int} the token's expiration (exp member).
+   * @returns {string[]} the OAuth scopes granted to the token (scope member).
    */
-  getExpiration() {
-    const payload = this.jwtToken.split('.')[1]; console.log(payload);
-    const expiration = JSON.parse(
-      sjcl.codec.utf8String.fromBits(sjcl.codec.base64url.toBits(payload)));
-    return expiration.exp;
+  getScopes() {
+    const scope = this.getClaim('scope');
+    return scope ? scope.split(' ').filter(value => value) : [];
   }
 }
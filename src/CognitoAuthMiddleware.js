@@ -0,0 +1,195 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict'
+var CognitoAccessToken = require('./CognitoAccessToken');
+var CognitoError = require('./CognitoError');
+var CognitoIdToken = require('./CognitoIdToken');
+var CognitoJwtVerifier = require('./CognitoJwtVerifier');
+var CognitoUser = require('./CognitoUser');
+
+/**
+ * @typedef {object} RequestAuth
+ * @property {object} claims The verified token payload.
+ * @property {(CognitoAccessToken|CognitoIdToken)} token The verified token.
+ * @property {string} tokenUse The token use, id or access.
+ * @property {CognitoUser} user The user the token belongs to, built on first access,
+ *           or null for tokens without a user, such as client credentials tokens.
+ */
+
+/** @class */
+module.exports = class CognitoAuthMiddleware {
+  /**
+   * Constructs a new CognitoAuthMiddleware object which authenticates requests
+   * of Express or Connect apps with tokens of a user pool.
+   *
+   * The token is read from a Bearer Authorization header, or from a cookie when
+   * Cookie is set and the header is missing. Requests without a valid token are
+   * answered with 401, and requests lacking a required group or scope with 403,
+   * both as JSON of the form { error, message }. Errors loading the pool's keys
+   * are passed on to next.
+   *
+   * @param {object} data Creation options. Options of CognitoJwtVerifier, such as
+   *        TokenUse, ClientId or Leeway, are passed on to the verifier.
+   * @param {CognitoUserPool} data.Pool Pool the tokens belong to.
+   * @param {CognitoJwtVerifier=} data.Verifier Verifier to use instead of one built
+   *        from these options.
+   * @param {string=} data.Cookie Name of a cookie holding the token.
+   * @param {string[]=} data.Groups Groups of which the user must be in at least one.
+   * @param {string[]=} data.Scopes Scopes the access token must all carry.
+   * @param {string=} data.RequestProperty Property of req the authentication is
+   *        attached to. Defaults to cognito.
+   */
+  constructor(data) {
+    const options = data || {};
+    if (options.Pool == null) {
+      throw new Error('A Pool is required.');
+    }
+
+    this.pool = options.Pool;
+    this.verifier = options.Verifier || new CognitoJwtVerifier(options);
+    this.cookie = options.Cookie || null;
+    this.groups = options.Groups || [];
+    this.scopes = options.Scopes || [];
+    this.requestProperty = options.RequestProperty || 'cognito';
+  }
+
+  /**
+   * @returns {function(object, object, function):void} the middleware function
+   */
+  handler() {
+    return (req, res, next) => {
+      this.authenticate(req).then((failure) => {
+        if (failure != null) {
+          return this.sendFailure(res, failure);
+        }
+        return next();
+      }).catch(next);
+    };
+  }
+
+  /**
+   * Verifies the token of a request and attaches the authentication to it
+   * @param {object} req The request.
+   * @returns {Promise<object>} the failure to respond with, or null if the
+   *          request may proceed
+   * @private
+   */
+  async authenticate(req) {
+    const jwtToken = this.getRequestToken(req);
+    if (!jwtToken) {
+      return { status: 401, error: 'unauthorized', message: 'No token was provided.' };
+    }
+
+    let claims;
+    try {
+      claims = await this.verifier.verify(jwtToken);
+    } catch (err) {
+      if (err instanceof CognitoError.NotAuthorizedError) {
+        return { status: 401, error: 'unauthorized', message: 'Token is invalid.' };
+      }
+      throw err;
+    }
+
+    const token = claims.token_use === 'id' ?
+      new CognitoIdToken({ IdToken: jwtToken }) :
+      new CognitoAccessToken({ AccessToken: jwtToken });
+
+    const groups = token.getGroups();
+    if (this.groups.length > 0 && !this.groups.some(group => groups.indexOf(group) !== -1)) {
+      return {
+        status: 403,
+        error: 'forbidden',
+        message: `User is not in any of the groups ${this.groups.join(', ')}.`,
+      };
+    }
+
+    const scopes = claims.token_use === 'access' ? token.getScopes() : [];
+    const missingScopes = this.scopes.filter(scope => scopes.indexOf(scope) === -1);
+    if (missingScopes.length > 0) {
+      return {
+        status: 403,
+        error: 'forbidden',
+        message: `Token is missing the scopes ${missingScopes.join(', ')}.`,
+      };
+    }
+
+    const pool = this.pool;
+    let user = null;
+    req[this.requestProperty] = {
+      claims,
+      token,
+      tokenUse: claims.token_use,
+      get user() {
+        if (user == null && token.getUsername() != null) {
+          user = new CognitoUser({ Username: token.getUsername(), Pool: pool });
+        }
+        return user;
+      },
+    };
+    return null;
+  }
+
+  /**
+   * Reads the token from the Authorization header or the configured cookie
+   * @param {object} req The request.
+   * @returns {string} the token, or null if the request has none
+   * @private
+   */
+  getRequestToken(req) {
+    const authorization = req.headers && req.headers.authorization;
+    if (authorization) {
+      const match = /^Bearer\s+(\S+)\s*$/i.exec(authorization);
+      return match ? match[1] : null;
+    }
+
+    if (this.cookie == null) {
+      return null;
+    }
+    if (req.cookies != null && req.cookies[this.cookie] != null) {
+      return req.cookies[this.cookie];
+    }
+
+    const cookieHeader = (req.headers && req.headers.cookie) || '';
+    const cookie = cookieHeader.split(';')
+      .map(pair => pair.trim())
+      .find(pair => pair.slice(0, pair.indexOf('=')) === this.cookie);
+    if (cookie == null) {
+      return null;
+    }
+    try {
+      return decodeURIComponent(cookie.slice(cookie.indexOf('=') + 1));
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Responds to a request that failed authentication or authorization
+   * @param {object} res The response.
+   * @param {object} failure The status, error and message to respond with.
+   * @returns {void}
+   * @private
+   */
+  sendFailure(res, failure) {
+    res.statusCode = failure.status;
+    res.setHeader('Content-Type', 'application/json');
+    if (failure.status === 401) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+    }
+    res.end(JSON.stringify({ error: failure.error, message: failure.message }));
+  }
+}
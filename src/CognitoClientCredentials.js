@@ -0,0 +1,105 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict'
+var CognitoAccessToken = require('./CognitoAccessToken');
+var CognitoError = require('./CognitoError');
+var CognitoOAuthClient = require('./CognitoOAuthClient');
+
+const defaultRefreshBefore = 60;
+
+/** @class */
+module.exports = class CognitoClientCredentials {
+  /**
+   * Constructs a new CognitoClientCredentials object, which gets access tokens for
+   * machine to machine calls with the OAuth2 client credentials grant. The app
+   * client must have a secret and be allowed the requested resource server scopes.
+   *
+   * Tokens are cached per set of scopes until shortly before they expire, and
+   * concurrent requests for the same scopes share one call to the token endpoint.
+   *
+   * @param {object} data Creation options.
+   * @param {CognitoUserPool} data.Pool The pool of the app client.
+   * @param {string=} data.Domain The pool domain. Defaults to the Domain of the pool.
+   * @param {int=} data.RefreshBefore Seconds before expiry at which a cached token
+   *        is replaced. Defaults to 60.
+   */
+  constructor(data) {
+    const options = data || {};
+    if (options.Pool == null) {
+      throw new CognitoError('A Pool is required.', { code: 'InvalidParameterException' });
+    }
+    if (!options.Pool.getClientSecret()) {
+      throw new CognitoError(
+        'The client credentials grant requires an app client with a ClientSecret.',
+        { code: 'InvalidParameterException' });
+    }
+
+    this.pool = options.Pool;
+    this.oauthClient = new CognitoOAuthClient({ Pool: options.Pool, Domain: options.Domain });
+    this.refreshBefore = options.RefreshBefore != null ?
+      options.RefreshBefore : defaultRefreshBefore;
+    this.tokens = {};
+  }
+
+  /**
+   * Gets an access token for a set of scopes, from the cache when it is still fresh
+   * @param {string[]=} scopes Scopes such as orders/read. Defaults to all the scopes
+   *        the app client is allowed.
+   * @returns {Promise<CognitoAccessToken>} the access token
+   */
+  async getToken(scopes) {
+    const scope = (scopes || [])
+      .filter((value, index, list) => value && list.indexOf(value) === index)
+      .sort()
+      .join(' ');
+
+    const cached = this.tokens[scope];
+    if (cached != null && this.isFresh(cached)) {
+      return cached;
+    }
+
+    return this.pool.singleFlight(`clientCredentials.${scope}`, async () => {
+      const grant = { grant_type: 'client_credentials' };
+      if (scope) {
+        grant.scope = scope;
+      }
+      const result = await this.oauthClient.requestTokens(grant);
+
+      const token = new CognitoAccessToken({ AccessToken: result.access_token });
+      this.tokens[scope] = token;
+      return token;
+    });
+  }
+
+  /**
+   * Drops all cached tokens
+   * @returns {void}
+   */
+  clearCache() {
+    this.tokens = {};
+  }
+
+  /**
+   * @param {CognitoAccessToken} token A cached token.
+   * @returns {bool} if the token can still be handed out
+   * @private
+   */
+  isFresh(token) {
+    const now = Math.floor(Date.now() / 1000);
+    return now + this.refreshBefore < token.getExpiration();
+  }
+}
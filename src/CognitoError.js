@@ -0,0 +1,151 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict'
+const retryableCodes = [
+  'TooManyRequestsException',
+  'ThrottlingException',
+  'InternalErrorException',
+  'ServiceUnavailable',
+  'NetworkingError',
+  'TimeoutError',
+  'ECONNRESET',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+];
+
+/**
+ * @typedef {object} CognitoErrorDetails
+ * @property {string=} code The Cognito error code, such as NotAuthorizedException.
+ * @property {string=} requestId The id of the failed request.
+ * @property {int=} statusCode The HTTP status of the failed request.
+ * @property {bool=} retryable If the request may succeed when sent again.
+ * @property {Error=} cause The original error.
+ */
+
+/** @class */
+class CognitoError extends Error {
+  /**
+   * Constructs a new CognitoError object, the base of the errors thrown by
+   * CognitoUser and CognitoUserPool methods
+   * @param {string} message The error message.
+   * @param {CognitoErrorDetails=} details Details of the failure.
+   */
+  constructor(message, details) {
+    const data = details || {};
+    super(message, data.cause != null ? { cause: data.cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = data.code || null;
+    this.requestId = data.requestId || null;
+    this.statusCode = data.statusCode || null;
+    this.retryable = data.retryable != null ? !!data.retryable :
+      retryableCodes.indexOf(this.code) !== -1;
+  }
+
+  /**
+   * Converts an aws-sdk or network error into the matching CognitoError
+   * @param {Error} err The error.
+   * @returns {CognitoError} the converted error, or err if it already is one
+   */
+  static from(err) {
+    if (err instanceof CognitoError) {
+      return err;
+    }
+
+    const ErrorClass = errorClasses[err.code] || CognitoError;
+    return new ErrorClass(err.message, {
+      code: err.code,
+      requestId: err.requestId,
+      statusCode: err.statusCode,
+      retryable: err.retryable || retryableCodes.indexOf(err.code) !== -1,
+      cause: err,
+    });
+  }
+}
+
+/** The username or password is wrong, or the token was revoked or has expired. */
+class NotAuthorizedError extends CognitoError {}
+
+/** The user has signed up but not confirmed the sign up yet. */
+class UserNotConfirmedError extends CognitoError {}
+
+/** An administrator reset the password, which must be set with forgotPassword. */
+class PasswordResetRequiredError extends CognitoError {}
+
+/** No user with the username exists. */
+class UserNotFoundError extends CognitoError {}
+
+/** The confirmation or MFA code is wrong. */
+class CodeMismatchError extends CognitoError {}
+
+/** The confirmation code has expired. */
+class ExpiredCodeError extends CognitoError {}
+
+/** A limit, such as the number of codes sent, was reached. */
+class LimitExceededError extends CognitoError {}
+
+/** Requests are being throttled. */
+class TooManyRequestsError extends CognitoError {}
+
+/** The method needs a signed in user, and the user has no valid session. */
+class NotAuthenticatedError extends CognitoError {
+  /**
+   * @param {string=} message The error message.
+   * @param {CognitoErrorDetails=} details Details of the failure.
+   */
+  constructor(message, details) {
+    super(message || 'User is not authenticated',
+      Object.assign({ code: 'NotAuthenticated' }, details));
+  }
+}
+
+/** The user is signing in, but must answer a challenge before getting a session. */
+class ChallengeRequiredError extends NotAuthenticatedError {
+  /**
+   * @param {string} challengeName The challenge to answer, such as SMS_MFA.
+   * @param {object=} challengeParameters The challenge parameters.
+   */
+  constructor(challengeName, challengeParameters) {
+    super(`User must answer the ${challengeName} challenge first`, { code: 'ChallengeRequired' });
+    this.challengeName = challengeName;
+    this.challengeParameters = challengeParameters || {};
+  }
+}
+
+const errorClasses = {
+  NotAuthorizedException: NotAuthorizedError,
+  UserNotConfirmedException: UserNotConfirmedError,
+  PasswordResetRequiredException: PasswordResetRequiredError,
+  UserNotFoundException: UserNotFoundError,
+  CodeMismatchException: CodeMismatchError,
+  ExpiredCodeException: ExpiredCodeError,
+  LimitExceededException: LimitExceededError,
+  TooManyRequestsException: TooManyRequestsError,
+  TooManyFailedAttemptsException: TooManyRequestsError,
+};
+
+module.exports = CognitoError;
+module.exports.NotAuthorizedError = NotAuthorizedError;
+module.exports.UserNotConfirmedError = UserNotConfirmedError;
+module.exports.PasswordResetRequiredError = PasswordResetRequiredError;
+module.exports.UserNotFoundError = UserNotFoundError;
+module.exports.CodeMismatchError = CodeMismatchError;
+module.exports.ExpiredCodeError = ExpiredCodeError;
+module.exports.LimitExceededError = LimitExceededError;
+module.exports.TooManyRequestsError = TooManyRequestsError;
+module.exports.NotAuthenticatedError = NotAuthenticatedError;
+module.exports.ChallengeRequiredError = ChallengeRequiredError;
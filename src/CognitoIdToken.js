@@ -15,33 +15,22 @@
  * limitations under the License.
  */
 'use strict'
-var sjcl = require('sjcl');
+var CognitoJwtToken = require('./CognitoJwtToken');
 
 /** @class */
-module.exports = class CognitoIdToken {
+module.exports = class CognitoIdToken extends CognitoJwtToken {
   /**
    * Constructs a new CognitoIdToken object
-   * @param {string=} IdToken The JWT Id token
+   * @param {string=} IdToken The JWT Id token.
    */
   constructor(data) {
-    // Assign object
-    this.jwtToken = data.IdToken || '';
+    super(data.IdToken);
   }
 
   /**
-   * @returns {string} the record's token.
+   * @returns {string} the username the token was issued to (cognito:username member).
    */
-  getJwtToken() {
-    return this.jwtToken;
-  }
-
-  /**
-   * @returns {int} the token's expiration (exp member).
-   */
-  getExpiration() {
-    const payload = this.jwtToken.split('.')[1];
-    const expiration = JSON.parse(
-      sjcl.codec.utf8String.fromBits(sjcl.codec.base64url.toBits(payload)));
-    return expiration.exp;
+  getUsername() {
+    return this.getClaim('cognito:username');
   }
 }
@@ -0,0 +1,132 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict'
+var CognitoError = require('./CognitoError');
+
+/** @class */
+module.exports = class CognitoJwtToken {
+  /**
+   * Constructs a new CognitoJwtToken object
+   * @param {string=} token The JWT token.
+   */
+  constructor(token) {
+    this.jwtToken = token || '';
+    this.header = null;
+    this.payload = null;
+  }
+
+  /**
+   * @returns {string} the record's token.
+   */
+  getJwtToken() {
+    return this.jwtToken;
+  }
+
+  /**
+   * @returns {object} the token's decoded header, or an empty object for an empty token.
+   */
+  decodeHeader() {
+    if (this.header == null) {
+      this.header = this.decodeSegment(0);
+    }
+    return this.header;
+  }
+
+  /**
+   * @returns {object} the token's decoded payload, or an empty object for an empty token.
+   */
+  decodePayload() {
+    if (this.payload == null) {
+      this.payload = this.decodeSegment(1);
+    }
+    return this.payload;
+  }
+
+  /**
+   * Decodes a segment of the token
+   * @param {int} index 0 for the header, 1 for the payload.
+   * @returns {object} the decoded segment
+   * @private
+   */
+  decodeSegment(index) {
+    if (!this.jwtToken) {
+      return {};
+    }
+
+    const segments = this.jwtToken.split('.');
+    if (segments.length !== 3) {
+      throw new CognitoError('Token is not a JWT.', { code: 'InvalidParameterException' });
+    }
+    try {
+      return JSON.parse(CognitoJwtToken.base64UrlDecode(segments[index]).toString('utf8'));
+    } catch (err) {
+      throw new CognitoError('Token is not a JWT.', { code: 'InvalidParameterException' });
+    }
+  }
+
+  /**
+   * Decodes a base64url string, with or without padding
+   * @param {string} value Base64url encoded value.
+   * @returns {Buffer} the decoded bytes
+   */
+  static base64UrlDecode(value) {
+    return Buffer.from(value, 'base64url');
+  }
+
+  /**
+   * @param {string} name Claim name.
+   * @returns {*} the claim's value, or undefined if the token does not have it.
+   */
+  getClaim(name) {
+    return this.decodePayload()[name];
+  }
+
+  /**
+   * @returns {int} the token's expiration (exp member).
+   */
+  getExpiration() {
+    return this.getClaim('exp');
+  }
+
+  /**
+   * @returns {int} the time the token was issued (iat member).
+   */
+  getIssuedAt() {
+    return this.getClaim('iat');
+  }
+
+  /**
+   * @returns {int} the time the user authenticated (auth_time member).
+   */
+  getAuthTime() {
+    return this.getClaim('auth_time');
+  }
+
+  /**
+   * @returns {string} the user's unique id (sub member).
+   */
+  getSubject() {
+    return this.getClaim('sub');
+  }
+
+  /**
+   * @returns {string[]} the groups the user belongs to (cognito:groups member).
+   */
+  getGroups() {
+    return this.getClaim('cognito:groups') || [];
+  }
+}
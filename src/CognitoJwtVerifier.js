@@ -0,0 +1,314 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict'
+var crypto = require('crypto');
+var fs = require('fs');
+var https = require('https');
+
+var CognitoError = require('./CognitoError');
+var CognitoJwtToken = require('./CognitoJwtToken');
+
+const defaultCacheTtl = 60 * 60 * 1000;
+const minRefetchInterval = 30 * 1000;
+const fetchTimeout = 5000;
+
+/**
+ * Builds the error for a token that fails verification
+ * @param {string} message What is wrong with the token.
+ * @returns {CognitoError} the error
+ * @private
+ */
+function invalidToken(message) {
+  return new CognitoError.NotAuthorizedError(message, { code: 'NotAuthorizedException' });
+}
+
+/** @class */
+module.exports = class CognitoJwtVerifier {
+  /**
+   * Constructs a new CognitoJwtVerifier object which checks tokens issued by a
+   * user pool: the RS256 signature against the pool's JSON Web Key Set, the
+   * issuer, the audience, the token use and the expiry.
+   *
+   * Keys come from the first of Jwks, JwksFile and JwksUri that is set. When
+   * none is set they are fetched from the pool's well-known JWKS URL. Fetched
+   * and read keys are cached, and fetched again when a token names a key
+   * that is not in the cache.
+   *
+   * @param {object} data Creation options.
+   * @param {CognitoUserPool=} data.Pool Pool the tokens belong to.
+   * @param {string=} data.UserPoolId Cognito user pool id, when no Pool is given.
+   * @param {(string|string[])=} data.ClientId Accepted app client ids. Defaults
+   *        to the Pool's client id.
+   * @param {string=} data.TokenUse Required token use, id or access. Both are
+   *        accepted when it is not set.
+   * @param {object=} data.Jwks Key set to use, as { keys: [...] }.
+   * @param {string=} data.JwksFile Path of a JSON file holding the key set.
+   * @param {string=} data.JwksUri URL to fetch the key set from.
+   * @param {int=} data.CacheTtl Milliseconds fetched keys are cached for. Defaults to an hour.
+   * @param {int=} data.Leeway Seconds of clock difference tolerated on exp and iat.
+   */
+  constructor(data) {
+    const options = data || {};
+    const UserPoolId = options.UserPoolId || (options.Pool && options.Pool.getUserPoolId());
+    const ClientId = options.ClientId || (options.Pool && options.Pool.getClientId());
+
+    if (!UserPoolId) {
+      throw new Error('A Pool or UserPoolId is required.');
+    }
+    if (!/^[\w-]+_.+$/.test(UserPoolId)) {
+      throw new Error('Invalid UserPoolId format.');
+    }
+    if (options.TokenUse != null && options.TokenUse !== 'id' && options.TokenUse !== 'access') {
+      throw new Error('TokenUse must be id or access.');
+    }
+    const region = UserPoolId.split('_')[0];
+
+    this.userPoolId = UserPoolId;
+    this.clientIds = ClientId == null ? [] : [].concat(ClientId);
+    this.tokenUse = options.TokenUse || null;
+    this.issuer = `https://cognito-idp.${region}.amazonaws.com/${UserPoolId}`;
+    this.jwks = options.Jwks || null;
+    this.jwksFile = options.JwksFile || null;
+    this.jwksUri = options.JwksUri || `${this.issuer}/.well-known/jwks.json`;
+    this.cacheTtl = options.CacheTtl != null ? options.CacheTtl : defaultCacheTtl;
+    this.leeway = options.Leeway || 0;
+
+    this.keyCache = null;
+    this.keyCacheTime = 0;
+    this.pendingKeys = null;
+  }
+
+  /**
+   * @returns {string} the issuer tokens must carry
+   */
+  getIssuer() {
+    return this.issuer;
+  }
+
+  /**
+   * Verifies a token and returns its claims
+   * @param {string|CognitoIdToken|CognitoAccessToken} token The JWT to verify.
+   * @param {object=} options Overrides for this call.
+   * @param {string=} options.TokenUse Required token use, id or access.
+   * @returns {Promise<object>} the verified token payload. It is rejected with a
+   *          NotAuthorizedError if the token is invalid, and with other errors if
+   *          the key set cannot be loaded.
+   */
+  async verify(token, options) {
+    const jwtToken = token != null && typeof token.getJwtToken === 'function' ?
+      token.getJwtToken() : token;
+    const tokenUse = (options && options.TokenUse) || this.tokenUse;
+
+    if (typeof jwtToken !== 'string' || jwtToken.split('.').length !== 3) {
+      throw invalidToken('Token is not a JWT.');
+    }
+    const parts = jwtToken.split('.');
+    const parsed = new CognitoJwtToken(jwtToken);
+    let header;
+    let payload;
+    try {
+      header = parsed.decodeHeader();
+      payload = parsed.decodePayload();
+    } catch (err) {
+      throw invalidToken('Token is not a JWT.');
+    }
+    if (header == null || payload == null) {
+      throw invalidToken('Token is not a JWT.');
+    }
+
+    if (header.alg !== 'RS256') {
+      throw invalidToken(`Token algorithm ${header.alg} is not allowed.`);
+    }
+
+    const key = await this.getKey(header.kid);
+    const signatureValid = crypto.createVerify('RSA-SHA256')
+      .update(`${parts[0]}.${parts[1]}`)
+      .verify(key, CognitoJwtToken.base64UrlDecode(parts[2]));
+    if (!signatureValid) {
+      throw invalidToken('Token signature is invalid.');
+    }
+
+    this.verifyClaims(payload, tokenUse);
+    return payload;
+  }
+
+  /**
+   * Checks the claims of a token whose signature is valid
+   * @param {object} payload Token payload.
+   * @param {string} tokenUse Required token use, or null for either.
+   * @returns {void}
+   * @private
+   */
+  verifyClaims(payload, tokenUse) {
+    if (payload.iss !== this.issuer) {
+      throw invalidToken(`Token issuer ${payload.iss} is not ${this.issuer}.`);
+    }
+
+    if (payload.token_use !== 'id' && payload.token_use !== 'access') {
+      throw invalidToken(`Token use ${payload.token_use} is not supported.`);
+    }
+    if (tokenUse != null && payload.token_use !== tokenUse) {
+      throw invalidToken(`Token use ${payload.token_use} is not ${tokenUse}.`);
+    }
+
+    const clientId = payload.token_use === 'id' ? payload.aud : payload.client_id;
+    if (this.clientIds.length > 0 && this.clientIds.indexOf(clientId) === -1) {
+      throw invalidToken(`Token was issued to client ${clientId}.`);
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof payload.exp !== 'number' || now > payload.exp + this.leeway) {
+      throw invalidToken('Token is expired.');
+    }
+    if (typeof payload.iat === 'number' && payload.iat > now + this.leeway) {
+      throw invalidToken('Token is not valid yet.');
+    }
+  }
+
+  /**
+   * Finds the public key for a key id, refreshing the key set once if it is unknown
+   * @param {string} kid Key id from the token header.
+   * @returns {Promise<KeyObject>} the public key
+   * @private
+   */
+  async getKey(kid) {
+    let keys = await this.getKeys(false);
+    if (keys[kid] == null && this.canRefetch()) {
+      keys = await this.getKeys(true);
+    }
+
+    if (keys[kid] == null) {
+      throw invalidToken(`No key ${kid} in the user pool key set.`);
+    }
+    return keys[kid];
+  }
+
+  /**
+   * @returns {bool} if the key set may be loaded again to look for a new key
+   * @private
+   */
+  canRefetch() {
+    return this.jwks == null && Date.now() - this.keyCacheTime > minRefetchInterval;
+  }
+
+  /**
+   * Loads the key set, from the cache when it is fresh
+   * @param {bool} force Ignore the cache.
+   * @returns {Promise<object>} public KeyObjects by key id
+   * @private
+   */
+  async getKeys(force) {
+    const fresh = this.keyCache != null &&
+      (this.jwks != null || Date.now() - this.keyCacheTime < this.cacheTtl);
+    if (fresh && !force) {
+      return this.keyCache;
+    }
+
+    if (this.pendingKeys == null) {
+      this.pendingKeys = this.loadJwks().then((jwks) => {
+        this.keyCache = this.importJwks(jwks);
+        this.keyCacheTime = Date.now();
+        this.pendingKeys = null;
+        return this.keyCache;
+      }, (err) => {
+        this.pendingKeys = null;
+        throw err;
+      });
+    }
+    return this.pendingKeys;
+  }
+
+  /**
+   * Reads the key set from its configured source
+   * @returns {Promise<object>} the key set
+   * @private
+   */
+  async loadJwks() {
+    if (this.jwks != null) {
+      return this.jwks;
+    }
+
+    if (this.jwksFile != null) {
+      return new Promise((resolve, reject) => {
+        fs.readFile(this.jwksFile, 'utf8', (err, contents) => {
+          if (err) {
+            return reject(err);
+          }
+          try {
+            return resolve(JSON.parse(contents));
+          } catch (errParse) {
+            return reject(new Error(`${this.jwksFile} is not a JSON key set.`));
+          }
+        });
+      });
+    }
+
+    return new Promise((resolve, reject) => {
+      const request = https.get(this.jwksUri, (response) => {
+        let body = '';
+        response.setEncoding('utf8');
+        response.on('data', (chunk) => {
+          body += chunk;
+        });
+        response.on('end', () => {
+          if (response.statusCode !== 200) {
+            return reject(new Error(`Fetching ${this.jwksUri} failed with status ${response.statusCode}.`));
+          }
+          try {
+            return resolve(JSON.parse(body));
+          } catch (err) {
+            return reject(new Error(`${this.jwksUri} did not return a JSON key set.`));
+          }
+        });
+      });
+      request.setTimeout(fetchTimeout, () => {
+        request.destroy();
+        reject(new Error(`Fetching ${this.jwksUri} timed out.`));
+      });
+      request.on('error', reject);
+    });
+  }
+
+  /**
+   * Imports the RSA keys of a key set, skipping keys that are not valid
+   * @param {object} jwks Key set.
+   * @returns {object} public KeyObjects by key id, in an object without
+   *          a prototype so that a kid such as constructor finds nothing
+   * @private
+   */
+  importJwks(jwks) {
+    if (jwks == null || !Array.isArray(jwks.keys)) {
+      throw new Error('Key set has no keys.');
+    }
+
+    const keys = Object.create(null);
+    jwks.keys.forEach((jwk) => {
+      if (jwk.kty !== 'RSA' || !jwk.kid || !jwk.n || !jwk.e) {
+        return;
+      }
+      try {
+        keys[jwk.kid] = crypto.createPublicKey({
+          key: { kty: jwk.kty, n: jwk.n, e: jwk.e },
+          format: 'jwk',
+        });
+      } catch (err) {
+        // A malformed key cannot verify anything, the others still can.
+      }
+    });
+    return keys;
+  }
+}
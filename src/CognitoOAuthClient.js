@@ -0,0 +1,291 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict'
+var crypto = require('crypto');
+var https = require('https');
+var querystring = require('querystring');
+
+var CognitoAccessToken = require('./CognitoAccessToken');
+var CognitoError = require('./CognitoError');
+var CognitoIdToken = require('./CognitoIdToken');
+var CognitoRefreshToken = require('./CognitoRefreshToken');
+var CognitoUser = require('./CognitoUser');
+var CognitoUserSession = require('./CognitoUserSession');
+
+const requestTimeout = 10000;
+
+/**
+ * Generates a random base64url string
+ * @param {int} length Number of random bytes.
+ * @returns {string} the encoded bytes
+ * @private
+ */
+function randomString(length) {
+  return crypto.randomBytes(length).toString('base64url');
+}
+
+/**
+ * @typedef {object} AuthorizationRequest
+ * @property {string} url The authorize URL to send the user to.
+ * @property {string} state The state, checked against the callback.
+ * @property {string} nonce The nonce, checked against the Id token.
+ * @property {string} codeVerifier The PKCE code verifier, sent with the code.
+ * @property {string} redirectUri The callback URL, sent with the code.
+ * @property {string[]} scopes The requested scopes. Sessions need openid.
+ */
+
+/** @class */
+module.exports = class CognitoOAuthClient {
+  /**
+   * Constructs a new CognitoOAuthClient object for the OAuth2 endpoints of a user
+   * pool domain, which sign users in through the hosted UI and social identity
+   * providers with the authorization code grant and PKCE.
+   *
+   * An authorization request is created and its state, nonce and code verifier
+   * kept, for example in a cookie, while the user is at the hosted UI. The
+   * callback URL and the request then give a CognitoUserSession.
+   *
+   * @param {object} data Creation options.
+   * @param {CognitoUserPool} data.Pool The pool of the app client.
+   * @param {string=} data.Domain The pool domain, as a host name such as
+   *        myapp.auth.us-east-1.amazoncognito.com or an https URL. Defaults to
+   *        the Domain of the pool.
+   * @param {string=} data.RedirectUri Callback URL registered for the app client.
+   * @param {string[]=} data.Scopes Scopes to request. Defaults to openid.
+   * @param {string=} data.LogoutUri Sign out URL registered for the app client.
+   * @param {bool=} data.CacheTokens If sessions are cached in the pool storage under
+   *        the keys getSession reads. Defaults to true.
+   */
+  constructor(data) {
+    const options = data || {};
+    if (options.Pool == null) {
+      throw new CognitoError('A Pool is required.', { code: 'InvalidParameterException' });
+    }
+    const domain = options.Domain || options.Pool.getDomain();
+    if (!domain) {
+      throw new CognitoError('A Domain is required.', { code: 'InvalidParameterException' });
+    }
+
+    this.pool = options.Pool;
+    this.domain = (/^https:\/\//.test(domain) ? domain : `https://${domain}`).replace(/\/+$/, '');
+    this.redirectUri = options.RedirectUri || null;
+    this.scopes = options.Scopes || ['openid'];
+    this.logoutUri = options.LogoutUri || null;
+    this.cacheTokens = options.CacheTokens !== false;
+  }
+
+  /**
+   * @returns {string} the base URL of the pool domain
+   */
+  getDomain() {
+    return this.domain;
+  }
+
+  /**
+   * Creates an authorization request, with a new state, nonce and PKCE code verifier
+   * @param {object=} options Request options.
+   * @param {string[]=} options.Scopes Scopes to request instead of the client's.
+   * @param {string=} options.IdentityProvider Identity provider to send the user to
+   *        directly, such as Google or the name of a SAML provider.
+   * @param {string=} options.RedirectUri Callback URL instead of the client's.
+   * @returns {AuthorizationRequest} the request
+   */
+  createAuthorizationRequest(options) {
+    const data = options || {};
+    const redirectUri = data.RedirectUri || this.redirectUri;
+    if (!redirectUri) {
+      throw new CognitoError('A RedirectUri is required.', { code: 'InvalidParameterException' });
+    }
+
+    const scopes = data.Scopes || this.scopes;
+    const state = randomString(16);
+    const nonce = randomString(16);
+    const codeVerifier = randomString(32);
+    const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+    const params = {
+      response_type: 'code',
+      client_id: this.pool.getClientId(),
+      redirect_uri: redirectUri,
+      scope: scopes.join(' '),
+      state,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256',
+    };
+    if (data.IdentityProvider) {
+      params.identity_provider = data.IdentityProvider;
+    }
+
+    return {
+      url: `${this.domain}/oauth2/authorize?${querystring.stringify(params)}`,
+      state,
+      nonce,
+      codeVerifier,
+      redirectUri,
+      scopes,
+    };
+  }
+
+  /**
+   * Completes an authorization request from the callback the user was sent back to.
+   * A session needs the Id token, so the request must have asked for the openid scope.
+   * @param {(string|object)} callback The callback URL, or its parsed query parameters.
+   * @param {AuthorizationRequest} request The request created for this sign in.
+   * @returns {Promise<CognitoUserSession>} the session
+   */
+  async handleCallback(callback, request) {
+    let params = callback;
+    if (typeof callback === 'string') {
+      const queryStart = callback.indexOf('?');
+      params = querystring.parse(queryStart === -1 ? callback : callback.slice(queryStart + 1));
+    }
+    if (params == null || request == null) {
+      throw new CognitoError('The callback and the authorization request are required.',
+        { code: 'InvalidParameterException' });
+    }
+
+    if (params.error) {
+      throw new CognitoError(params.error_description || params.error, { code: params.error });
+    }
+    if (!params.state || params.state !== request.state) {
+      throw new CognitoError('The callback state does not match the authorization request.',
+        { code: 'InvalidParameterException' });
+    }
+    if (!params.code) {
+      throw new CognitoError('The callback has no authorization code.',
+        { code: 'InvalidParameterException' });
+    }
+
+    const tokens = await this.requestTokens({
+      grant_type: 'authorization_code',
+      code: params.code,
+      redirect_uri: request.redirectUri || this.redirectUri,
+      code_verifier: request.codeVerifier,
+    });
+
+    if (!tokens.id_token) {
+      const scopes = request.scopes || this.scopes;
+      throw new CognitoError(scopes.indexOf('openid') !== -1 ?
+        'The token response has no Id token, although the openid scope was requested.' :
+        'The token response has no Id token. Request the openid scope to get a session.',
+      { code: 'InvalidParameterException' });
+    }
+
+    const idToken = new CognitoIdToken({ IdToken: tokens.id_token });
+    if (idToken.getClaim('nonce') !== request.nonce) {
+      throw new CognitoError.NotAuthorizedError(
+        'The Id token nonce does not match the authorization request.',
+        { code: 'NotAuthorizedException' });
+    }
+    if (idToken.getClaim('aud') !== this.pool.getClientId()) {
+      throw new CognitoError.NotAuthorizedError('The Id token was issued to another client.',
+        { code: 'NotAuthorizedException' });
+    }
+
+    const accessToken = new CognitoAccessToken({ AccessToken: tokens.access_token });
+    const session = new CognitoUserSession({
+      IdToken: idToken,
+      AccessToken: accessToken,
+      RefreshToken: new CognitoRefreshToken({ RefreshToken: tokens.refresh_token }),
+      ClockDrift: CognitoUserSession.calculateClockDrift(idToken, accessToken),
+    });
+    this.pool.setClockDrift(session.getClockDrift());
+
+    if (this.cacheTokens) {
+      const user = CognitoUser.fromSession(this.pool, session);
+      await user.cacheTokens();
+    }
+    return session;
+  }
+
+  /**
+   * Builds the URL that signs the user out of the hosted UI
+   * @param {object=} options Logout options.
+   * @param {string=} options.LogoutUri Where to send the user afterwards, instead
+   *        of the client's LogoutUri.
+   * @returns {string} the logout URL
+   */
+  getLogoutUrl(options) {
+    const data = options || {};
+    const logoutUri = data.LogoutUri || this.logoutUri;
+    if (!logoutUri) {
+      throw new CognitoError('A LogoutUri is required.', { code: 'InvalidParameterException' });
+    }
+
+    return `${this.domain}/logout?${querystring.stringify({
+      client_id: this.pool.getClientId(),
+      logout_uri: logoutUri,
+    })}`;
+  }
+
+  /**
+   * Posts a grant to the token endpoint, authenticating with the client secret
+   * when the app client has one
+   * @param {object} grant The form parameters of the grant.
+   * @returns {Promise<object>} the token response. It is rejected with a CognitoError
+   *          carrying the OAuth error code, such as invalid_grant, and the HTTP status.
+   */
+  async requestTokens(grant) {
+    const url = `${this.domain}/oauth2/token`;
+    const clientSecret = this.pool.getClientSecret();
+    const form = Object.assign({ client_id: this.pool.getClientId() }, grant);
+    const body = querystring.stringify(form);
+    const headers = {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Content-Length': Buffer.byteLength(body),
+    };
+    if (clientSecret) {
+      const credentials = `${this.pool.getClientId()}:${clientSecret}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    }
+
+    return new Promise((resolve, reject) => {
+      const request = https.request(url, { method: 'POST', headers }, (response) => {
+        let responseBody = '';
+        response.setEncoding('utf8');
+        response.on('data', (chunk) => {
+          responseBody += chunk;
+        });
+        response.on('end', () => {
+          let result;
+          try {
+            result = JSON.parse(responseBody);
+          } catch (err) {
+            result = {};
+          }
+          if (response.statusCode !== 200 || result.error) {
+            return reject(new CognitoError(result.error_description || result.error ||
+              `${url} failed with status ${response.statusCode}.`, {
+              code: result.error,
+              requestId: response.headers['x-amz-cognito-request-id'],
+              statusCode: response.statusCode,
+              retryable: response.statusCode === 429 || response.statusCode >= 500,
+            }));
+          }
+          return resolve(result);
+        });
+      });
+      request.setTimeout(requestTimeout, () => {
+        request.destroy();
+        reject(new CognitoError(`${url} timed out.`, { code: 'TimeoutError' }));
+      });
+      request.on('error', err => reject(CognitoError.from(err)));
+      request.end(body);
+    });
+  }
+}
@@ -19,14 +19,25 @@ var sjcl = require('sjcl');
 var BigInteger = require('jsbn').BigInteger;
 
 var AuthenticationHelper= require('./AuthenticationHelper');
+var CognitoError = require('./CognitoError');
 var CognitoAccessToken= require('./CognitoAccessToken');
 var CognitoIdToken= require('./CognitoIdToken');
 var CognitoRefreshToken= require('./CognitoRefreshToken');
 var CognitoUserSession= require('./CognitoUserSession');
 var DateHelper = require('./DateHelper');
+var PaginationHelper = require('./PaginationHelper');
+var SessionRefreshScheduler = require('./SessionRefreshScheduler');
 var CognitoUserAttribute = require('./CognitoUserAttribute');
+var TotpHelper = require('./TotpHelper');
 
-var LocalStorage = require('node-localstorage').LocalStorage;
+const mfaCodeResponseKeys = {
+  SMS_MFA: 'SMS_MFA_CODE',
+  SOFTWARE_TOKEN_MFA: 'SOFTWARE_TOKEN_MFA_CODE',
+  EMAIL_OTP: 'EMAIL_OTP_CODE',
+};
+
+// Errors returned while answering a DEVICE_SRP_AUTH or DEVICE_PASSWORD_VERIFIER challenge.
+const deviceChallengeErrors = new WeakSet();
 
 /**
  * @callback nodeCallback
@@ -67,6 +78,24 @@ var LocalStorage = require('node-localstorage').LocalStorage;
  * @param {bool=} userConfirmationNecessary User must be confirmed.
  */
 
+/**
+ * @callback challengeResponder
+ * @param {...*} answer The challenge answer, see the method answering each challenge.
+ * @returns {Promise<AuthenticationResult>} the result of the next authentication step
+ */
+
+/**
+ * @typedef {object} AuthenticationResult
+ * @property {string} type SESSION when the user is signed in, CHALLENGE when
+ *           another step is required.
+ * @property {CognitoUserSession=} session The new session, for SESSION results.
+ * @property {bool=} userConfirmationNecessary The new device must be confirmed by
+ *           the user, for SESSION results.
+ * @property {string=} name The challenge name, for CHALLENGE results.
+ * @property {object=} parameters The challenge parameters, for CHALLENGE results.
+ * @property {challengeResponder=} respond Answers the challenge, for CHALLENGE results.
+ */
+
 
 /** @class */
 module.exports = class CognitoUser {
@@ -78,7 +107,8 @@ module.exports = class CognitoUser {
    */
   constructor(data) {
     if (data == null || data.Username == null || data.Pool == null) {
-      throw new Error('Username and pool information are required.');
+      throw new CognitoError('Username and pool information are required.',
+        { code: 'InvalidParameterException' });
     }
 
     this.username = data.Username || '';
@@ -88,7 +118,57 @@ module.exports = class CognitoUser {
     this.client = data.Pool.client;
 
     this.signInUserSession = null;
-    this.authenticationFlowType = 'USER_SRP_AUTH';
+    this.sessionInStorage = true;
+    this.pendingChallenge = null;
+    this.autoRefresh = null;
+    this.authenticationFlowType = data.Pool.isAdminMode() ?
+      'ADMIN_USER_PASSWORD_AUTH' : 'USER_SRP_AUTH';
+  }
+
+  /**
+   * Builds a signed in user from a session kept outside the pool storage, such as
+   * in a cookie or Redis. getSession refreshes the session with its refresh token
+   * once it expires. The session, and the refreshed ones, are not written to the
+   * pool storage unless CacheTokens is set.
+   * @param {CognitoUserPool} pool The pool the session belongs to.
+   * @param {(CognitoUserSession|SessionJSON|string)} serialized The session, its
+   *        toJSON data, or a string from serialize or JSON.stringify. When a key is
+   *        given, only a string from serialize is accepted.
+   * @param {object=} options Restore options.
+   * @param {(string|Buffer)=} options.EncryptionKey Key the session string was encrypted with.
+   * @param {(string|Buffer)=} options.SigningKey Key the session string was signed with.
+   * @param {bool=} options.CacheTokens Cache refreshed sessions in the pool storage,
+   *        as for a user who signed in. Defaults to false.
+   * @returns {CognitoUser} the user the session belongs to
+   */
+  static fromSession(pool, serialized, options) {
+    const data = options || {};
+    let session;
+    if (data.EncryptionKey != null || data.SigningKey != null) {
+      // Anything but the serialize form would bypass the signature and encryption.
+      if (typeof serialized !== 'string' || serialized.charAt(0) === '{') {
+        throw new CognitoError('Session must be serialized with the given keys.',
+          { code: 'InvalidParameterException' });
+      }
+      session = CognitoUserSession.deserialize(serialized, data);
+    } else if (serialized instanceof CognitoUserSession) {
+      session = serialized;
+    } else if (typeof serialized === 'string' && serialized.charAt(0) !== '{') {
+      session = CognitoUserSession.deserialize(serialized, data);
+    } else {
+      session = CognitoUserSession.fromJSON(serialized);
+    }
+
+    const username = session.getAccessToken().getUsername() ||
+      session.getIdToken().getUsername();
+    if (!username) {
+      throw new CognitoError('Session does not contain a username.', { code: 'InvalidParameterException' });
+    }
+
+    const user = new CognitoUser({ Username: username, Pool: pool });
+    user.signInUserSession = session;
+    user.sessionInStorage = data.CacheTokens === true;
+    return user;
   }
 
   /**
@@ -123,27 +203,73 @@ module.exports = class CognitoUser {
 
   /**
    * This is used for authenticating the user. it calls the AuthenticationHelper for SRP related
-   * stuff
+   * stuff, unless the authentication flow type is USER_PASSWORD_AUTH or ADMIN_USER_PASSWORD_AUTH.
+   * When the pool is in admin mode, the requests go through the admin APIs.
+   *
+   * The promise resolves with the new session when the user is signed in, or with
+   * the challenge to answer next, such as NEW_PASSWORD_REQUIRED, SMS_MFA or
+   * CUSTOM_CHALLENGE. It only rejects when authentication failed.
    * @param {AuthenticationDetails} authDetails Contains the authentication data
-   * @param {object} callback Result callback map.
-   * @param {onFailure} callback.onFailure Called on any error.
-   * @param {newPasswordRequired} callback.newPasswordRequired new
-   *        password and any required attributes are required to continue
-   * @param {mfaRequired} callback.mfaRequired MFA code
-   *        required to continue.
-   * @param {customChallenge} callback.customChallenge Custom challenge
-   *        response required to continue.
-   * @param {authSuccess} callback.onSuccess Called on success with the new session.
-   * @returns {void}
+   * @returns {Promise<AuthenticationResult>} the session or the next challenge
    */
   async authenticateUser(authDetails) {
+    try {
+      return await this.authenticateUserWithFlow(authDetails);
+    } catch (err) {
+      if (this.deviceKey == null || !this.isForgottenDeviceError(err)) {
+        throw err;
+      }
+    }
+
+    // The cached device was forgotten on the server, sign in again as a new device.
+    await this.clearCachedDeviceKeyAndPassword();
+    return this.authenticateUserWithFlow(authDetails);
+  }
+
+  /**
+   * Runs the configured authentication flow. The remembered device is read from
+   * the cache under the name it was written with: the USER_ID_FOR_SRP returned by
+   * Cognito for the SRP flows, which differs from the username when signing in
+   * with an alias.
+   * @param {AuthenticationDetails} authDetails Contains the authentication data
+   * @returns {Promise<AuthenticationResult>} the session or the next challenge
+   * @private
+   */
+  async authenticateUserWithFlow(authDetails) {
+    if (this.authenticationFlowType === 'USER_PASSWORD_AUTH' ||
+      this.authenticationFlowType === 'ADMIN_USER_PASSWORD_AUTH') {
+      await this.getCachedDeviceKeyAndPassword();
+      return this.authenticateUserPlainUsernamePassword(authDetails);
+    }
+    return this.authenticateUserDefaultAuth(authDetails);
+  }
+
+  /**
+   * @param {*} err A failed request's error.
+   * @returns {bool} if the error means the device key sent is no longer known to Cognito.
+   *          Only failures of the device challenge, or naming the device, qualify.
+   * @private
+   */
+  isForgottenDeviceError(err) {
+    if (err == null || err.code !== 'ResourceNotFoundException') {
+      return false;
+    }
+    return deviceChallengeErrors.has(err) || /\bdevice\b/i.test(err.message || '');
+  }
+
+  /**
+   * This is used for authenticating the user with the SRP based flows,
+   * USER_SRP_AUTH and CUSTOM_AUTH
+   * @param {AuthenticationDetails} authDetails Contains the authentication data
+   * @returns {Promise<AuthenticationResult>} the session or the next challenge
+   * @private
+   */
+  async authenticateUserDefaultAuth(authDetails) {
     const authenticationHelper = new AuthenticationHelper(
       this.pool.getUserPoolId().split('_')[1],
       this.pool.getParanoia());
-    const dateHelper = new DateHelper();
+    const dateHelper = new DateHelper(this.pool.getClockDrift());
 
-    let serverBValue;
-    let salt;
     const authParameters = {};
 
     if (this.deviceKey != null) {
@@ -157,175 +283,346 @@ module.exports = class CognitoUser {
       authParameters.CHALLENGE_NAME = 'SRP_A';
     }
 
-    return new Promise((resolve, reject) => {
-      this.client.makeUnauthenticatedRequest('initiateAuth', {
+    const secretHash = this.pool.calculateSecretHash(this.username);
+    if (secretHash != null) {
+      authParameters.SECRET_HASH = secretHash;
+    }
+
+    const data = await new Promise((resolve, reject) => {
+      this.authRequest('initiateAuth', {
         AuthFlow: this.authenticationFlowType,
         ClientId: this.pool.getClientId(),
         AuthParameters: authParameters,
-        ClientMetadata: authDetails.getValidationData(),
-      }, (err, data) => {
+        ClientMetadata: this.pool.getClientMetadata(authDetails.getClientMetadata()),
+      }, (err, result) => {
         if (err) {
           return reject(err);
         }
+        return resolve(result);
+      });
+    });
 
-        const challengeParameters = data.ChallengeParameters;
+    const challengeParameters = data.ChallengeParameters;
 
-        this.username = challengeParameters.USER_ID_FOR_SRP;
-        serverBValue = new BigInteger(challengeParameters.SRP_B, 16);
-        salt = new BigInteger(challengeParameters.SALT, 16);
+    this.username = challengeParameters.USER_ID_FOR_SRP;
+    if (this.deviceKey == null) {
+      await this.getCachedDeviceKeyAndPassword();
+    }
 
-        const hkdf = authenticationHelper.getPasswordAuthenticationKey(
-          this.username,
-          authDetails.getPassword(),
-          serverBValue,
-          salt);
-        const secretBlockBits = sjcl.codec.base64.toBits(challengeParameters.SECRET_BLOCK);
+    const serverBValue = new BigInteger(challengeParameters.SRP_B, 16);
+    const salt = new BigInteger(challengeParameters.SALT, 16);
+
+    const hkdf = authenticationHelper.getPasswordAuthenticationKey(
+      this.username,
+      authDetails.getPassword(),
+      serverBValue,
+      salt);
+    const secretBlockBits = sjcl.codec.base64.toBits(challengeParameters.SECRET_BLOCK);
+
+    const mac = new sjcl.misc.hmac(hkdf, sjcl.hash.sha256);
+    mac.update(sjcl.codec.utf8String.toBits(this.pool.getUserPoolId().split('_')[1]));
+    mac.update(sjcl.codec.utf8String.toBits(this.username));
+    mac.update(secretBlockBits);
+    const dateNow = dateHelper.getNowString();
+    mac.update(sjcl.codec.utf8String.toBits(dateNow));
+    const signature = mac.digest();
+    const signatureString = sjcl.codec.base64.fromBits(signature);
 
-        const mac = new sjcl.misc.hmac(hkdf, sjcl.hash.sha256);
-        mac.update(sjcl.codec.utf8String.toBits(this.pool.getUserPoolId().split('_')[1]));
-        mac.update(sjcl.codec.utf8String.toBits(this.username));
-        mac.update(secretBlockBits);
-        const dateNow = dateHelper.getNowString();
-        mac.update(sjcl.codec.utf8String.toBits(dateNow));
-        const signature = mac.digest();
-        const signatureString = sjcl.codec.base64.fromBits(signature);
+    const challengeResponses = {};
 
-        const challengeResponses = {};
+    challengeResponses.USERNAME = this.username;
+    challengeResponses.PASSWORD_CLAIM_SECRET_BLOCK = challengeParameters.SECRET_BLOCK;
+    challengeResponses.TIMESTAMP = dateNow;
+    challengeResponses.PASSWORD_CLAIM_SIGNATURE = signatureString;
 
-        challengeResponses.USERNAME = this.username;
-        challengeResponses.PASSWORD_CLAIM_SECRET_BLOCK = challengeParameters.SECRET_BLOCK;
-        challengeResponses.TIMESTAMP = dateNow;
-        challengeResponses.PASSWORD_CLAIM_SIGNATURE = signatureString;
+    if (this.deviceKey != null) {
+      challengeResponses.DEVICE_KEY = this.deviceKey;
+    }
 
-        if (this.deviceKey != null) {
-          challengeResponses.DEVICE_KEY = this.deviceKey;
+    const verifierSecretHash = this.pool.calculateSecretHash(this.username);
+    if (verifierSecretHash != null) {
+      challengeResponses.SECRET_HASH = verifierSecretHash;
+    }
+
+    return new Promise((resolve, reject) => {
+      this.authRequest('respondToAuthChallenge', {
+        ChallengeName: 'PASSWORD_VERIFIER',
+        ClientId: this.pool.getClientId(),
+        ChallengeResponses: challengeResponses,
+        Session: data.Session,
+        ClientMetadata: this.pool.getClientMetadata(authDetails.getClientMetadata()),
+      }, (errAuthenticate, dataAuthenticate) => {
+        if (errAuthenticate) {
+          return reject(errAuthenticate);
         }
 
-        this.client.makeUnauthenticatedRequest('respondToAuthChallenge', {
-          ChallengeName: 'PASSWORD_VERIFIER',
-          ClientId: this.pool.getClientId(),
-          ChallengeResponses: challengeResponses,
-          Session: data.Session,
-        }, (errAuthenticate, dataAuthenticate) => {
-          if (errAuthenticate) {
-            return reject(errAuthenticate);
-          }
+        return this.authenticateUserInternal(dataAuthenticate, authenticationHelper).then(value => {
+          resolve(value);
+        }).catch(err => {
+          reject(err);
+        });
+      });
+    });
+  }
 
-          const challengeName = dataAuthenticate.ChallengeName;
-          if (challengeName === 'NEW_PASSWORD_REQUIRED') {
-            this.Session = dataAuthenticate.Session;
-            let userAttributes = null;
-            let rawRequiredAttributes = null;
-            const requiredAttributes = [];
-            const userAttributesPrefix = authenticationHelper
-              .getNewPasswordRequiredChallengeUserAttributePrefix();
-
-            if (dataAuthenticate.ChallengeParameters) {
-              userAttributes = JSON.parse(
-                dataAuthenticate.ChallengeParameters.userAttributes);
-              rawRequiredAttributes = JSON.parse(
-                dataAuthenticate.ChallengeParameters.requiredAttributes);
-            }
+  /**
+   * Sends an initiateAuth or respondToAuthChallenge request. When the pool is in
+   * admin mode the request goes to adminInitiateAuth or adminRespondToAuthChallenge
+   * instead, signed with the pool's admin client.
+   * @param {string} operation initiateAuth or respondToAuthChallenge.
+   * @param {object} params Request parameters.
+   * @param {nodeCallback<object>} callback Called with the response.
+   * @returns {AWS.Request} the request
+   * @private
+   */
+  authRequest(operation, params, callback) {
+    if (!this.pool.isAdminMode()) {
+      return this.pool.sendRequest(operation, params, callback);
+    }
 
-            if (rawRequiredAttributes) {
-              for (let i = 0; i < rawRequiredAttributes.length; i++) {
-                requiredAttributes[i] = rawRequiredAttributes[i].substr(userAttributesPrefix.length);
-              }
-            }
-            // TODO:
-            const error = new Error("new password is required");
-            error.data = {"userAttributes": userAttributes, "requiredAttributes": requiredAttributes}
-            return reject(error);
-          }
+    const adminParams = Object.assign({ UserPoolId: this.pool.getUserPoolId() }, params);
+    if (adminParams.AuthFlow === 'USER_PASSWORD_AUTH') {
+      adminParams.AuthFlow = 'ADMIN_USER_PASSWORD_AUTH';
+    }
+    const adminOperation = operation === 'initiateAuth' ?
+      'adminInitiateAuth' : 'adminRespondToAuthChallenge';
 
-          return this.authenticateUserInternal(dataAuthenticate, authenticationHelper).then(value => {
-            resolve(value);
-          }).catch(err => {
-            reject(err);
-          });
-        });
+    return this.pool.sendAdminRequest(adminOperation, adminParams, callback);
+  }
 
-        return undefined;
+  /**
+   * This is used for authenticating the user with the USER_PASSWORD_AUTH flow, or
+   * ADMIN_USER_PASSWORD_AUTH in admin mode.
+   * The password is sent to Cognito as is, so no SRP calculation is done. This is
+   * the flow that triggers the user migration Lambda.
+   * @param {AuthenticationDetails} authDetails Contains the authentication data
+   * @returns {Promise<AuthenticationResult>} the session or the next challenge
+   * @private
+   */
+  async authenticateUserPlainUsernamePassword(authDetails) {
+    const authParameters = {};
+    authParameters.USERNAME = this.username;
+    authParameters.PASSWORD = authDetails.getPassword();
+    if (!authParameters.PASSWORD) {
+      throw new CognitoError('PASSWORD parameter is required', { code: 'InvalidParameterException' });
+    }
+
+    const authenticationHelper = new AuthenticationHelper(
+      this.pool.getUserPoolId().split('_')[1],
+      this.pool.getParanoia());
+
+    if (this.deviceKey != null) {
+      authParameters.DEVICE_KEY = this.deviceKey;
+    }
+
+    const secretHash = this.pool.calculateSecretHash(this.username);
+    if (secretHash != null) {
+      authParameters.SECRET_HASH = secretHash;
+    }
+
+    return new Promise((resolve, reject) => {
+      this.authRequest('initiateAuth', {
+        AuthFlow: this.authenticationFlowType,
+        ClientId: this.pool.getClientId(),
+        AuthParameters: authParameters,
+        ClientMetadata: this.pool.getClientMetadata(authDetails.getClientMetadata()),
+      }, (err, authResult) => {
+        if (err) {
+          return reject(err);
+        }
+
+        return this.authenticateUserInternal(authResult, authenticationHelper).then(value => {
+          resolve(value);
+        }).catch(errAuthenticate => {
+          reject(errAuthenticate);
+        });
       });
     });
   }
 
+  /**
+   * Builds the error for methods called without a valid session
+   * @returns {NotAuthenticatedError} a ChallengeRequiredError while a challenge of
+   *          the sign in is unanswered, otherwise a NotAuthenticatedError
+   * @private
+   */
+  notAuthenticatedError() {
+    if (this.pendingChallenge != null) {
+      return new CognitoError.ChallengeRequiredError(
+        this.pendingChallenge.name, this.pendingChallenge.parameters);
+    }
+    return new CognitoError.NotAuthenticatedError();
+  }
+
+  /**
+   * Builds the result of an authentication step that signed the user in
+   * @param {bool=} userConfirmationNecessary The new device must be confirmed by the user.
+   * @returns {AuthenticationResult} the SESSION result
+   * @private
+   */
+  sessionResult(userConfirmationNecessary) {
+    this.pendingChallenge = null;
+    return {
+      type: 'SESSION',
+      session: this.signInUserSession,
+      userConfirmationNecessary: userConfirmationNecessary === true,
+    };
+  }
+
+  /**
+   * Builds the result of an authentication step that needs a challenge answered
+   * @param {string} name The challenge name.
+   * @param {object} parameters The challenge parameters.
+   * @param {challengeResponder} respond Answers the challenge.
+   * @returns {AuthenticationResult} the CHALLENGE result
+   * @private
+   */
+  challengeResult(name, parameters, respond) {
+    this.pendingChallenge = { name, parameters: parameters || {} };
+    return {
+      type: 'CHALLENGE',
+      name,
+      parameters: parameters || {},
+      respond,
+    };
+  }
+
   /**
   * PRIVATE ONLY: This is an internal only method and should not
   * be directly called by the consumers.
   * @param {object} dataAuthenticate authentication data
   * @param {object} authenticationHelper helper created
-  * @param {callback} callback passed on from caller
-  * @returns {void}
+  * @returns {Promise<AuthenticationResult>} the session or the next challenge
   */
-  async authenticateUserInternal(dataAuthenticate, authenticationHelper, callback) {
+  async authenticateUserInternal(dataAuthenticate, authenticationHelper) {
     return new Promise((resolve, reject) => {
       const challengeName = dataAuthenticate.ChallengeName;
-      if (challengeName === 'SMS_MFA') {
+      if (challengeName === 'NEW_PASSWORD_REQUIRED') {
+        this.Session = dataAuthenticate.Session;
+        let userAttributes = null;
+        let rawRequiredAttributes = null;
+        const requiredAttributes = [];
+        const userAttributesPrefix = authenticationHelper
+          .getNewPasswordRequiredChallengeUserAttributePrefix();
+
+        if (dataAuthenticate.ChallengeParameters) {
+          userAttributes = JSON.parse(
+            dataAuthenticate.ChallengeParameters.userAttributes);
+          rawRequiredAttributes = JSON.parse(
+            dataAuthenticate.ChallengeParameters.requiredAttributes);
+        }
+
+        if (rawRequiredAttributes) {
+          for (let i = 0; i < rawRequiredAttributes.length; i++) {
+            requiredAttributes[i] = rawRequiredAttributes[i].substr(userAttributesPrefix.length);
+          }
+        }
+        return resolve(this.challengeResult(challengeName,
+          { userAttributes, requiredAttributes },
+          (newPassword, requiredAttributeData, clientMetadata) =>
+            this.completeNewPasswordChallenge(newPassword, requiredAttributeData, clientMetadata)));
+      }
+
+      if (mfaCodeResponseKeys[challengeName]) {
+        this.Session = dataAuthenticate.Session;
+        return resolve(this.challengeResult(challengeName,
+          dataAuthenticate.ChallengeParameters,
+          (confirmationCode, clientMetadata) =>
+            this.sendMFACode(confirmationCode, challengeName, clientMetadata)));
+      }
+
+      if (challengeName === 'SELECT_MFA_TYPE') {
         this.Session = dataAuthenticate.Session;
-        // TODO:
-        const error = new Error("MFA is Required");
-        error.data = {"challengeName": challengeName}
-        return reject(error);
+        let parameters = dataAuthenticate.ChallengeParameters || {};
+        if (parameters.MFAS_CAN_CHOOSE) {
+          parameters = Object.assign({}, parameters, {
+            MFAS_CAN_CHOOSE: JSON.parse(parameters.MFAS_CAN_CHOOSE),
+          });
+        }
+        return resolve(this.challengeResult(challengeName, parameters,
+          mfaType => this.sendMFASelectionAnswer(mfaType)));
+      }
+
+      if (challengeName === 'MFA_SETUP') {
+        this.Session = dataAuthenticate.Session;
+        let parameters = dataAuthenticate.ChallengeParameters || {};
+        if (parameters.MFAS_CAN_SETUP) {
+          parameters = Object.assign({}, parameters, {
+            MFAS_CAN_SETUP: JSON.parse(parameters.MFAS_CAN_SETUP),
+          });
+        }
+        return resolve(this.challengeResult(challengeName, parameters,
+          (totpCode, friendlyDeviceName) => this.verifySoftwareToken(totpCode, friendlyDeviceName)));
       }
 
       if (challengeName === 'CUSTOM_CHALLENGE') {
         this.Session = dataAuthenticate.Session;
-        // TODO:
-        const error = new Error("Custom challenge");
-        error.data = {"ChallengeParameters": dataAuthenticate.ChallengeParameters}
-        return reject(error);
+        return resolve(this.challengeResult(challengeName,
+          dataAuthenticate.ChallengeParameters,
+          (answerChallenge, clientMetadata) =>
+            this.sendCustomChallengeAnswer(answerChallenge, clientMetadata)));
       }
 
       if (challengeName === 'DEVICE_SRP_AUTH') {
-        // TODO:
-        this.getDeviceResponse(callback);
-        return undefined;
+        return this.getDeviceResponse(dataAuthenticate).then(value => {
+          resolve(value);
+        }).catch(err => {
+          reject(err);
+        });
+      }
+
+      if (challengeName != null) {
+        this.Session = dataAuthenticate.Session;
+        return resolve(this.challengeResult(challengeName,
+          dataAuthenticate.ChallengeParameters,
+          challengeResponses => this.sendChallengeResponses(challengeName, challengeResponses)));
       }
 
       this.signInUserSession = this.getCognitoUserSession(dataAuthenticate.AuthenticationResult);
-      this.cacheTokens();
 
-      const newDeviceMetadata = dataAuthenticate.AuthenticationResult.NewDeviceMetadata;
-      if (newDeviceMetadata == null) {
-        return resolve(this.signInUserSession);
-      }
+      return this.cacheTokens().then(() => {
+        const newDeviceMetadata = dataAuthenticate.AuthenticationResult.NewDeviceMetadata;
+        if (newDeviceMetadata == null) {
+          return resolve(this.sessionResult());
+        }
 
-      authenticationHelper.generateHashDevice(
-        dataAuthenticate.AuthenticationResult.NewDeviceMetadata.DeviceGroupKey,
-        dataAuthenticate.AuthenticationResult.NewDeviceMetadata.DeviceKey);
+        authenticationHelper.generateHashDevice(
+          dataAuthenticate.AuthenticationResult.NewDeviceMetadata.DeviceGroupKey,
+          dataAuthenticate.AuthenticationResult.NewDeviceMetadata.DeviceKey);
 
-      const deviceSecretVerifierConfig = {
-        Salt: sjcl.codec.base64.fromBits(sjcl.codec.hex.toBits(
-                authenticationHelper.getSaltDevices().toString(16))),
-        PasswordVerifier: sjcl.codec.base64.fromBits(sjcl.codec.hex.toBits(
-                authenticationHelper.getVerifierDevices().toString(16))),
-      };
+        const deviceSecretVerifierConfig = {
+          Salt: sjcl.codec.base64.fromBits(sjcl.codec.hex.toBits(
+                  authenticationHelper.getSaltDevices().toString(16))),
+          PasswordVerifier: sjcl.codec.base64.fromBits(sjcl.codec.hex.toBits(
+                  authenticationHelper.getVerifierDevices().toString(16))),
+        };
 
-      this.verifierDevices = sjcl.codec.base64.fromBits(
-        authenticationHelper.getVerifierDevices());
-      this.deviceGroupKey = newDeviceMetadata.DeviceGroupKey;
-      this.randomPassword = authenticationHelper.getRandomPassword();
+        this.verifierDevices = sjcl.codec.base64.fromBits(
+          authenticationHelper.getVerifierDevices());
+        this.deviceGroupKey = newDeviceMetadata.DeviceGroupKey;
+        this.randomPassword = authenticationHelper.getRandomPassword();
 
-      this.client.makeUnauthenticatedRequest('confirmDevice', {
-        DeviceKey: newDeviceMetadata.DeviceKey,
-        AccessToken: this.signInUserSession.getAccessToken().getJwtToken(),
-        DeviceSecretVerifierConfig: deviceSecretVerifierConfig,
-        DeviceName: 'nodejs-https/amazon-cognito-identity-js-node',
-      }, (errConfirm, dataConfirm) => {
-        if (errConfirm) {
-          return reject(errConfirm);
-        }
+        this.pool.sendRequest('confirmDevice', {
+          DeviceKey: newDeviceMetadata.DeviceKey,
+          AccessToken: this.signInUserSession.getAccessToken().getJwtToken(),
+          DeviceSecretVerifierConfig: deviceSecretVerifierConfig,
+          DeviceName: 'nodejs-https/amazon-cognito-identity-js-node',
+        }, (errConfirm, dataConfirm) => {
+          if (errConfirm) {
+            return reject(errConfirm);
+          }
 
-        this.deviceKey = dataAuthenticate.AuthenticationResult.NewDeviceMetadata.DeviceKey;
-        this.cacheDeviceKeyAndPassword();
-        if (dataConfirm.UserConfirmationNecessary === true) {
-          return resolve(
-            this.signInUserSession, dataConfirm.UserConfirmationNecessary);
-        }
-        return resolve(this.signInUserSession);
+          this.deviceKey = dataAuthenticate.AuthenticationResult.NewDeviceMetadata.DeviceKey;
+          return this.cacheDeviceKeyAndPassword().then(() => {
+            resolve(this.sessionResult(dataConfirm.UserConfirmationNecessary));
+          }).catch(err => {
+            reject(err);
+          });
+        });
+        return undefined;
+      }).catch(err => {
+        reject(err);
       });
-      return undefined;
     });
   }
 
@@ -335,18 +632,16 @@ module.exports = class CognitoUser {
   * User attribute keys must be of format userAttributes.<attribute_name>.
   * @param {string} newPassword new password for this user
   * @param {object} requiredAttributeData map with values for all required attributes
-  * @param {object} callback Result callback map.
-  * @param {onFailure} callback.onFailure Called on any error.
-  * @param {mfaRequired} callback.mfaRequired MFA code required to continue.
-  * @param {customChallenge} callback.customChallenge Custom challenge
-  *         response required to continue.
-  * @param {authSuccess} callback.onSuccess Called on success with the new session.
-  * @returns {void}
+  * @param {object=} clientMetadata Key-value pairs for the Lambda triggers, merged
+  *        over the pool's ClientMetadata.
+  * @returns {Promise<AuthenticationResult>} the session or the next challenge
   */
-  completeNewPasswordChallenge(newPassword, requiredAttributeData, callback) {
+  completeNewPasswordChallenge(newPassword, requiredAttributeData, clientMetadata) {
     return new Promise((resolve, reject) => {
       if (!newPassword) {
-        return reject(new Error('New password is required.'));
+        return reject(new CognitoError('New password is required.', {
+          code: 'InvalidParameterException',
+        }));
       }
       const authenticationHelper = new AuthenticationHelper(
         this.pool.getUserPoolId().split('_')[1], this.pool.getParanoia());
@@ -362,11 +657,18 @@ module.exports = class CognitoUser {
 
       finalUserAttributes.NEW_PASSWORD = newPassword;
       finalUserAttributes.USERNAME = this.username;
-      this.client.makeUnauthenticatedRequest('respondToAuthChallenge', {
+
+      const secretHash = this.pool.calculateSecretHash(this.username);
+      if (secretHash != null) {
+        finalUserAttributes.SECRET_HASH = secretHash;
+      }
+
+      this.authRequest('respondToAuthChallenge', {
         ChallengeName: 'NEW_PASSWORD_REQUIRED',
         ClientId: this.pool.getClientId(),
         ChallengeResponses: finalUserAttributes,
         Session: this.Session,
+        ClientMetadata: this.pool.getClientMetadata(clientMetadata),
       }, (errAuthenticate, dataAuthenticate) => {
         if (errAuthenticate) {
           return reject(errAuthenticate);
@@ -384,19 +686,21 @@ module.exports = class CognitoUser {
 
   /**
    * This is used to get a session using device authentication. It is called at the end of user
-   * authentication
+   * authentication when Cognito asks a remembered device to prove it holds its secret.
    *
-   * @param {object} callback Result callback map.
-   * @param {onFailure} callback.onFailure Called on any error.
-   * @param {authSuccess} callback.onSuccess Called on success with the new session.
-   * @returns {void}
+   * @param {object} dataAuthenticate The response carrying the DEVICE_SRP_AUTH challenge.
+   * @returns {Promise<AuthenticationResult>} the session or the next challenge
    * @private
    */
-  async getDeviceResponse() {
+  async getDeviceResponse(dataAuthenticate) {
+    if (this.deviceKey == null || this.deviceGroupKey == null || this.randomPassword == null) {
+      throw new CognitoError('Device authentication requires a cached device key and password.');
+    }
+
     const authenticationHelper = new AuthenticationHelper(
       this.deviceGroupKey,
       this.pool.getParanoia());
-    const dateHelper = new DateHelper();
+    const dateHelper = new DateHelper(this.pool.getClockDrift());
 
     const authParameters = {};
 
@@ -404,13 +708,22 @@ module.exports = class CognitoUser {
     authParameters.DEVICE_KEY = this.deviceKey;
     authParameters.SRP_A = authenticationHelper.getLargeAValue().toString(16);
 
+    const secretHash = this.pool.calculateSecretHash(this.username);
+    if (secretHash != null) {
+      authParameters.SECRET_HASH = secretHash;
+    }
+
     return new Promise((resolve, reject) => {
-      this.client.makeUnauthenticatedRequest('respondToAuthChallenge', {
+      this.authRequest('respondToAuthChallenge', {
         ChallengeName: 'DEVICE_SRP_AUTH',
         ClientId: this.pool.getClientId(),
         ChallengeResponses: authParameters,
+        Session: dataAuthenticate.Session,
       }, (err, data) => {
         if (err) {
+          if (err instanceof Object) {
+            deviceChallengeErrors.add(err);
+          }
           return reject(err);
         }
 
@@ -443,20 +756,29 @@ module.exports = class CognitoUser {
         challengeResponses.PASSWORD_CLAIM_SIGNATURE = signatureString;
         challengeResponses.DEVICE_KEY = this.deviceKey;
 
-        this.client.makeUnauthenticatedRequest('respondToAuthChallenge', {
+        if (secretHash != null) {
+          challengeResponses.SECRET_HASH = secretHash;
+        }
+
+        this.authRequest('respondToAuthChallenge', {
           ChallengeName: 'DEVICE_PASSWORD_VERIFIER',
           ClientId: this.pool.getClientId(),
           ChallengeResponses: challengeResponses,
           Session: data.Session,
-        }, (errAuthenticate, dataAuthenticate) => {
+        }, (errAuthenticate, dataDeviceAuthenticate) => {
           if (errAuthenticate) {
+            if (errAuthenticate instanceof Object) {
+              deviceChallengeErrors.add(errAuthenticate);
+            }
             return reject(errAuthenticate);
           }
 
-          this.signInUserSession = this.getCognitoUserSession(dataAuthenticate.AuthenticationResult);
-          this.cacheTokens();
-
-          return resolve(this.signInUserSession);
+          return this.authenticateUserInternal(dataDeviceAuthenticate, authenticationHelper)
+            .then(value => {
+              resolve(value);
+            }).catch(errInternal => {
+              reject(errInternal);
+            });
         });
         return undefined;
       });
@@ -467,16 +789,19 @@ module.exports = class CognitoUser {
    * This is used for a certain user to confirm the registration by using a confirmation code
    * @param {string} confirmationCode Code entered by user.
    * @param {bool} forceAliasCreation Allow migrating from an existing email / phone number.
-   * @param {nodeCallback<string>} callback Called on success or error.
-   * @returns {void}
+   * @param {object=} clientMetadata Key-value pairs for the Lambda triggers, merged
+   *        over the pool's ClientMetadata.
+   * @returns {Promise<string>} SUCCESS once confirmed
    */
-  confirmRegistration(confirmationCode, forceAliasCreation) {
+  confirmRegistration(confirmationCode, forceAliasCreation, clientMetadata) {
     return new Promise((resolve, reject) => {
-      this.client.makeUnauthenticatedRequest('confirmSignUp', {
+      this.pool.sendRequest('confirmSignUp', {
         ClientId: this.pool.getClientId(),
+        SecretHash: this.pool.calculateSecretHash(this.username),
         ConfirmationCode: confirmationCode,
         Username: this.username,
         ForceAliasCreation: forceAliasCreation,
+        ClientMetadata: this.pool.getClientMetadata(clientMetadata),
       }, err => {
         if (err) {
           return reject(err);
@@ -489,42 +814,40 @@ module.exports = class CognitoUser {
   /**
    * This is used by the user once he has the responses to a custom challenge
    * @param {string} answerChallenge The custom challange answer.
-   * @param {object} callback Result callback map.
-   * @param {onFailure} callback.onFailure Called on any error.
-   * @param {customChallenge} callback.customChallenge
-   *    Custom challenge response required to continue.
-   * @param {authSuccess} callback.onSuccess Called on success with the new session.
-   * @returns {void}
+   * @param {object=} clientMetadata Key-value pairs for the Lambda triggers, merged
+   *        over the pool's ClientMetadata.
+   * @returns {Promise<AuthenticationResult>} the session or the next challenge
    */
-  async sendCustomChallengeAnswer(answerChallenge) {
+  async sendCustomChallengeAnswer(answerChallenge, clientMetadata) {
     const challengeResponses = {};
     challengeResponses.USERNAME = this.username;
     challengeResponses.ANSWER = answerChallenge;
 
+    const secretHash = this.pool.calculateSecretHash(this.username);
+    if (secretHash != null) {
+      challengeResponses.SECRET_HASH = secretHash;
+    }
+
     return new Promise((resolve, reject) => {
-      this.client.makeUnauthenticatedRequest('respondToAuthChallenge', {
+      this.authRequest('respondToAuthChallenge', {
         ChallengeName: 'CUSTOM_CHALLENGE',
         ChallengeResponses: challengeResponses,
         ClientId: this.pool.getClientId(),
         Session: this.Session,
-      }, (err, data) => {
+        ClientMetadata: this.pool.getClientMetadata(clientMetadata),
+      }, (err, dataAuthenticate) => {
         if (err) {
           return reject(err);
         }
 
-        const challengeName = data.ChallengeName;
-
-        if (challengeName === 'CUSTOM_CHALLENGE') {
-          this.Session = data.Session;
-          // TODO:
-          const error = new Error("Custom challenge");
-          error.data = {"ChallengeParameters": dataAuthenticate.ChallengeParameters}
-          return reject(error);
-        }
-
-        this.signInUserSession = this.getCognitoUserSession(data.AuthenticationResult);
-        this.cacheTokens();
-        return resolve(this.signInUserSession);
+        const authenticationHelper = new AuthenticationHelper(
+          this.pool.getUserPoolId().split('_')[1],
+          this.pool.getParanoia());
+        return this.authenticateUserInternal(dataAuthenticate, authenticationHelper).then(value => {
+          resolve(value);
+        }).catch(errAuthenticate => {
+          reject(errAuthenticate);
+        });
       });
     });
   }
@@ -532,78 +855,235 @@ module.exports = class CognitoUser {
   /**
    * This is used by the user once he has an MFA code
    * @param {string} confirmationCode The MFA code entered by the user.
-   * @param {object} callback Result callback map.
-   * @param {onFailure} callback.onFailure Called on any error.
-   * @param {authSuccess} callback.onSuccess Called on success with the new session.
-   * @returns {void}
+   * @param {string=} mfaType The challenge being answered: SMS_MFA (the default),
+   *        SOFTWARE_TOKEN_MFA or EMAIL_OTP.
+   * @param {object=} clientMetadata Key-value pairs for the Lambda triggers, merged
+   *        over the pool's ClientMetadata.
+   * @returns {Promise<AuthenticationResult>} the session or the next challenge
    */
-  async sendMFACode(confirmationCode) {
+  async sendMFACode(confirmationCode, mfaType, clientMetadata) {
+    const challengeName = mfaType || 'SMS_MFA';
+    if (!mfaCodeResponseKeys[challengeName]) {
+      throw new CognitoError(`Unsupported MFA type ${challengeName}.`, { code: 'InvalidParameterException' });
+    }
+
     const challengeResponses = {};
     challengeResponses.USERNAME = this.username;
-    challengeResponses.SMS_MFA_CODE = confirmationCode;
+    challengeResponses[mfaCodeResponseKeys[challengeName]] = confirmationCode;
 
     if (this.deviceKey != null) {
       challengeResponses.DEVICE_KEY = this.deviceKey;
     }
 
+    const secretHash = this.pool.calculateSecretHash(this.username);
+    if (secretHash != null) {
+      challengeResponses.SECRET_HASH = secretHash;
+    }
+
     return new Promise((resolve, reject) => {
-      this.client.makeUnauthenticatedRequest('respondToAuthChallenge', {
-        ChallengeName: 'SMS_MFA',
+      this.authRequest('respondToAuthChallenge', {
+        ChallengeName: challengeName,
         ChallengeResponses: challengeResponses,
         ClientId: this.pool.getClientId(),
         Session: this.Session,
+        ClientMetadata: this.pool.getClientMetadata(clientMetadata),
       }, (err, dataAuthenticate) => {
         if (err) {
           return reject(err);
         }
 
-        this.signInUserSession = this.getCognitoUserSession(dataAuthenticate.AuthenticationResult);
-        this.cacheTokens();
-
-        if (dataAuthenticate.AuthenticationResult.NewDeviceMetadata == null) {
-          return resolve(this.signInUserSession);
-        }
-
         const authenticationHelper = new AuthenticationHelper(
           this.pool.getUserPoolId().split('_')[1],
           this.pool.getParanoia());
-        authenticationHelper.generateHashDevice(
-          dataAuthenticate.AuthenticationResult.NewDeviceMetadata.DeviceGroupKey,
-          dataAuthenticate.AuthenticationResult.NewDeviceMetadata.DeviceKey);
+        return this.authenticateUserInternal(dataAuthenticate, authenticationHelper).then(value => {
+          resolve(value);
+        }).catch(errAuthenticate => {
+          reject(errAuthenticate);
+        });
+      });
+    });
+  }
 
-        const deviceSecretVerifierConfig = {
-          Salt: sjcl.codec.base64.fromBits(sjcl.codec.hex.toBits(
-            authenticationHelper.getSaltDevices().toString(16))),
-          PasswordVerifier: sjcl.codec.base64.fromBits(sjcl.codec.hex.toBits(
-            authenticationHelper.getVerifierDevices().toString(16))),
-        };
+  /**
+   * This is used by the user to choose which MFA type to answer, when Cognito
+   * asks with the SELECT_MFA_TYPE challenge
+   * @param {string} mfaType SMS_MFA, SOFTWARE_TOKEN_MFA or EMAIL_OTP.
+   * @returns {Promise<AuthenticationResult>} the challenge for the chosen MFA type
+   */
+  async sendMFASelectionAnswer(mfaType) {
+    if (!mfaCodeResponseKeys[mfaType]) {
+      throw new CognitoError(`Unsupported MFA type ${mfaType}.`, { code: 'InvalidParameterException' });
+    }
 
-        this.verifierDevices = sjcl.codec.base64.fromBits(
-          authenticationHelper.getVerifierDevices());
-        this.deviceGroupKey = dataAuthenticate.AuthenticationResult
-          .NewDeviceMetadata.DeviceGroupKey;
-        this.randomPassword = authenticationHelper.getRandomPassword();
+    const challengeResponses = {};
+    challengeResponses.USERNAME = this.username;
+    challengeResponses.ANSWER = mfaType;
 
-        this.client.makeUnauthenticatedRequest('confirmDevice', {
-          DeviceKey: dataAuthenticate.AuthenticationResult.NewDeviceMetadata.DeviceKey,
-          AccessToken: this.signInUserSession.getAccessToken().getJwtToken(),
-          DeviceSecretVerifierConfig: deviceSecretVerifierConfig,
-          DeviceName: 'nodejs-https/amazon-cognito-identity-js-node',
-        }, (errConfirm, dataConfirm) => {
-          if (errConfirm) {
-            return reject(errConfirm);
-          }
+    return this.sendChallengeResponses('SELECT_MFA_TYPE', challengeResponses);
+  }
 
-          this.deviceKey = dataAuthenticate.AuthenticationResult.NewDeviceMetadata.DeviceKey;
-          this.cacheDeviceKeyAndPassword();
-          if (dataConfirm.UserConfirmationNecessary === true) {
-            return resolve(
-              this.signInUserSession,
-              dataConfirm.UserConfirmationNecessary);
-          }
-          return resolve(this.signInUserSession);
+  /**
+   * This is used to start setting up a software token (TOTP) for MFA. It works
+   * for a signed in user, and during sign in when Cognito answers with MFA_SETUP.
+   * @param {string=} issuer Name shown for the account in authenticator apps.
+   * @returns {Promise<{secretCode: string, uri: string}>} the base32 secret and the
+   *          otpauth:// URI to show as a QR code
+   */
+  async associateSoftwareToken(issuer) {
+    const params = {};
+    if (this.signInUserSession != null && this.signInUserSession.isValid()) {
+      params.AccessToken = this.signInUserSession.getAccessToken().getJwtToken();
+    } else if (this.Session != null) {
+      params.Session = this.Session;
+    } else {
+      throw this.notAuthenticatedError();
+    }
+
+    return new Promise((resolve, reject) => {
+      this.pool.sendRequest('associateSoftwareToken', params, (err, data) => {
+        if (err) {
+          return reject(err);
+        }
+
+        if (data.Session) {
+          this.Session = data.Session;
+        }
+
+        const totpHelper = new TotpHelper();
+        return resolve({
+          secretCode: data.SecretCode,
+          uri: totpHelper.getUri(data.SecretCode, this.username, issuer),
+        });
+      });
+    });
+  }
+
+  /**
+   * This is used to finish setting up a software token with a code from the
+   * authenticator app. During sign in this also answers the MFA_SETUP challenge.
+   * @param {string} totpCode Code shown by the authenticator app.
+   * @param {string=} friendlyDeviceName Name for the software token.
+   * @returns {Promise<AuthenticationResult|string>} the session or the next challenge
+   *          during sign in, otherwise 'SUCCESS'
+   */
+  async verifySoftwareToken(totpCode, friendlyDeviceName) {
+    const signedIn = this.signInUserSession != null && this.signInUserSession.isValid();
+    const params = {
+      UserCode: totpCode,
+      FriendlyDeviceName: friendlyDeviceName,
+    };
+    if (signedIn) {
+      params.AccessToken = this.signInUserSession.getAccessToken().getJwtToken();
+    } else if (this.Session != null) {
+      params.Session = this.Session;
+    } else {
+      throw this.notAuthenticatedError();
+    }
+
+    const data = await new Promise((resolve, reject) => {
+      this.pool.sendRequest('verifySoftwareToken', params, (err, result) => {
+        if (err) {
+          return reject(err);
+        }
+        return resolve(result);
+      });
+    });
+
+    if (data.Status !== 'SUCCESS') {
+      throw new CognitoError.CodeMismatchError(
+        `Software token verification failed with status ${data.Status}.`, { code: 'CodeMismatchException' });
+    }
+    if (signedIn) {
+      return 'SUCCESS';
+    }
+
+    this.Session = data.Session;
+    const challengeResponses = {};
+    challengeResponses.USERNAME = this.username;
+    return this.sendChallengeResponses('MFA_SETUP', challengeResponses);
+  }
+
+  /**
+   * @typedef {object} MFASetting
+   * @property {bool=} enabled If the MFA type is enabled.
+   * @property {bool=} preferred If the MFA type is the one Cognito asks for first.
+   */
+  /**
+   * This is used by an authenticated user to set which MFA types are enabled
+   * and preferred. Types left out are not changed.
+   * @param {object} preferences MFA preferences.
+   * @param {MFASetting=} preferences.sms SMS text message MFA.
+   * @param {MFASetting=} preferences.totp Software token MFA.
+   * @returns {Promise<string>} 'SUCCESS'
+   */
+  async setUserMFAPreference(preferences) {
+    if (this.signInUserSession == null || !this.signInUserSession.isValid()) {
+      throw this.notAuthenticatedError();
+    }
+
+    const toSettings = setting => ({
+      Enabled: setting.enabled === true,
+      PreferredMfa: setting.preferred === true,
+    });
+
+    const data = preferences || {};
+    const params = {
+      AccessToken: this.signInUserSession.getAccessToken().getJwtToken(),
+    };
+    if (data.sms != null) {
+      params.SMSMfaSettings = toSettings(data.sms);
+    }
+    if (data.totp != null) {
+      params.SoftwareTokenMfaSettings = toSettings(data.totp);
+    }
+
+    return new Promise((resolve, reject) => {
+      this.pool.sendRequest('setUserMFAPreference', params, err => {
+        if (err) {
+          return reject(err);
+        }
+        return resolve('SUCCESS');
+      });
+    });
+  }
+
+  /**
+   * This is used to answer a challenge this library has no dedicated method for
+   * @param {string} challengeName The name of the challenge being answered.
+   * @param {object} challengeResponses The challenge responses. USERNAME and
+   *        SECRET_HASH are added when missing.
+   * @returns {Promise<AuthenticationResult>} the session or the next challenge
+   */
+  async sendChallengeResponses(challengeName, challengeResponses) {
+    const finalChallengeResponses = Object.assign({}, challengeResponses);
+    if (finalChallengeResponses.USERNAME == null) {
+      finalChallengeResponses.USERNAME = this.username;
+    }
+
+    const secretHash = this.pool.calculateSecretHash(finalChallengeResponses.USERNAME);
+    if (secretHash != null && finalChallengeResponses.SECRET_HASH == null) {
+      finalChallengeResponses.SECRET_HASH = secretHash;
+    }
+
+    return new Promise((resolve, reject) => {
+      this.authRequest('respondToAuthChallenge', {
+        ChallengeName: challengeName,
+        ChallengeResponses: finalChallengeResponses,
+        ClientId: this.pool.getClientId(),
+        Session: this.Session,
+      }, (err, dataAuthenticate) => {
+        if (err) {
+          return reject(err);
+        }
+
+        const authenticationHelper = new AuthenticationHelper(
+          this.pool.getUserPoolId().split('_')[1],
+          this.pool.getParanoia());
+        return this.authenticateUserInternal(dataAuthenticate, authenticationHelper).then(value => {
+          resolve(value);
+        }).catch(errAuthenticate => {
+          reject(errAuthenticate);
         });
-        return undefined;
       });
     });
   }
@@ -618,10 +1098,10 @@ module.exports = class CognitoUser {
   async changePassword(oldUserPassword, newUserPassword) {
     return new Promise((resolve, reject) => {
       if (!(this.signInUserSession != null && this.signInUserSession.isValid())) {
-        return reject(new Error('User is not authenticated'));
+        return reject(this.notAuthenticatedError());
       }
 
-      this.client.makeUnauthenticatedRequest('changePassword', {
+      this.pool.sendRequest('changePassword', {
         PreviousPassword: oldUserPassword,
         ProposedPassword: newUserPassword,
         AccessToken: this.signInUserSession.getAccessToken().getJwtToken(),
@@ -644,7 +1124,7 @@ module.exports = class CognitoUser {
   async enableMFA() {
     return new Promise((resolve, reject) => {
       if (this.signInUserSession == null || !this.signInUserSession.isValid()) {
-        return reject(new Error('User is not authenticated'));
+        return reject(this.notAuthenticatedError());
       }
 
       const mfaOptions = [];
@@ -654,7 +1134,7 @@ module.exports = class CognitoUser {
       };
       mfaOptions.push(mfaEnabled);
 
-      this.client.makeUnauthenticatedRequest('setUserSettings', {
+      this.pool.sendRequest('setUserSettings', {
         MFAOptions: mfaOptions,
         AccessToken: this.signInUserSession.getAccessToken().getJwtToken(),
       }, err => {
@@ -675,12 +1155,12 @@ module.exports = class CognitoUser {
   async disableMFA() {
     return new Promise((resolve, reject) => {
       if (this.signInUserSession == null || !this.signInUserSession.isValid()) {
-        return reject(new Error('User is not authenticated'));
+        return reject(this.notAuthenticatedError());
       }
 
       const mfaOptions = [];
 
-      this.client.makeUnauthenticatedRequest('setUserSettings', {
+      this.pool.sendRequest('setUserSettings', {
         MFAOptions: mfaOptions,
         AccessToken: this.signInUserSession.getAccessToken().getJwtToken(),
       }, err => {
@@ -702,10 +1182,10 @@ module.exports = class CognitoUser {
   async deleteUser() {
     return new Promise((resolve, reject) => {
       if (this.signInUserSession == null || !this.signInUserSession.isValid()) {
-        return reject(new Error('User is not authenticated'));
+        return reject(this.notAuthenticatedError());
       }
 
-      this.client.makeUnauthenticatedRequest('deleteUser', {
+      this.pool.sendRequest('deleteUser', {
         AccessToken: this.signInUserSession.getAccessToken().getJwtToken(),
       }, err => {
         if (err) {
@@ -723,18 +1203,20 @@ module.exports = class CognitoUser {
   /**
    * This is used by an authenticated user to change a list of attributes
    * @param {AttributeArg[]} attributes A list of the new user attributes.
-   * @param {nodeCallback<string>} callback Called on success or error.
-   * @returns {void}
+   * @param {object=} clientMetadata Key-value pairs for the Lambda triggers, merged
+   *        over the pool's ClientMetadata.
+   * @returns {Promise<string>} SUCCESS once updated
    */
-  async updateAttributes(attributes) {
+  async updateAttributes(attributes, clientMetadata) {
     return new Promise((resolve, reject) => {
       if (this.signInUserSession == null || !this.signInUserSession.isValid()) {
-        return reject(new Error('User is not authenticated'));
+        return reject(this.notAuthenticatedError());
       }
 
-      this.client.makeUnauthenticatedRequest('updateUserAttributes', {
+      this.pool.sendRequest('updateUserAttributes', {
         AccessToken: this.signInUserSession.getAccessToken().getJwtToken(),
         UserAttributes: attributes,
+        ClientMetadata: this.pool.getClientMetadata(clientMetadata),
       }, err => {
         if (err) {
           return reject(err);
@@ -752,10 +1234,10 @@ module.exports = class CognitoUser {
   async getUserAttributes() {
     return new Promise((resolve, reject) => {
       if (!(this.signInUserSession != null && this.signInUserSession.isValid())) {
-        return reject(new Error('User is not authenticated'));
+        return reject(this.notAuthenticatedError());
       }
 
-      this.client.makeUnauthenticatedRequest('getUser', {
+      this.pool.sendRequest('getUser', {
         AccessToken: this.signInUserSession.getAccessToken().getJwtToken(),
       }, (err, userData) => {
         if (err) {
@@ -765,11 +1247,8 @@ module.exports = class CognitoUser {
         const attributeList = [];
 
         for (let i = 0; i < userData.UserAttributes.length; i++) {
-          const attribute = {
-            Name: userData.UserAttributes[i].Name,
-            Value: userData.UserAttributes[i].Value,
-          };
-          const userAttribute = new CognitoUserAttribute(attribute);
+          const userAttribute = new CognitoUserAttribute(
+            userData.UserAttributes[i].Name, userData.UserAttributes[i].Value);
           attributeList.push(userAttribute);
         }
 
@@ -788,10 +1267,10 @@ module.exports = class CognitoUser {
   async deleteAttributes(attributeList) {
     return new Promise((resolve, reject) => {
       if (!(this.signInUserSession != null && this.signInUserSession.isValid())) {
-        return reject(new Error('User is not authenticated'));
+        return reject(this.notAuthenticatedError());
       }
 
-      this.client.makeUnauthenticatedRequest('deleteUserAttributes', {
+      this.pool.sendRequest('deleteUserAttributes', {
         UserAttributeNames: attributeList,
         AccessToken: this.signInUserSession.getAccessToken().getJwtToken(),
       }, err => {
@@ -806,14 +1285,17 @@ module.exports = class CognitoUser {
 
   /**
    * This is used by a user to resend a confirmation code
-   * @param {nodeCallback<string>} callback Called on success or error.
-   * @returns {void}
+   * @param {object=} clientMetadata Key-value pairs for the Lambda triggers, merged
+   *        over the pool's ClientMetadata.
+   * @returns {Promise<string>} SUCCESS once the code is sent
    */
-  async resendConfirmationCode() {
+  async resendConfirmationCode(clientMetadata) {
     return new Promise((resolve, reject) => {
-      this.client.makeUnauthenticatedRequest('resendConfirmationCode', {
+      this.pool.sendRequest('resendConfirmationCode', {
         ClientId: this.pool.getClientId(),
+        SecretHash: this.pool.calculateSecretHash(this.username),
         Username: this.username,
+        ClientMetadata: this.pool.getClientMetadata(clientMetadata),
       }, err => {
         if (err) {
           return reject(err);
@@ -825,91 +1307,172 @@ module.exports = class CognitoUser {
 
   /**
    * This is used to get a session, either from the session object
-   * or from  the local storage, or by using a refresh token
+   * or from the pool storage, or by using a refresh token
    *
-   * @param {nodeCallback<CognitoUserSession>} callback Called on success or error.
-   * @returns {void}
+   * @returns {Promise<CognitoUserSession>} the valid session
    */
   async getSession() {
-    return new Promise((resolve, reject) => {
-      if (this.username == null) {
-        return reject(new Error('Username is null. Cannot retrieve a new session'));
-      }
+    if (this.username == null) {
+      throw new CognitoError('Username is null. Cannot retrieve a new session', { code: 'InvalidParameterException' });
+    }
 
-      if (this.signInUserSession != null && this.signInUserSession.isValid()) {
-        return resolve(this.signInUserSession);
-      }
+    const expiryBuffer = this.pool.getExpiryBuffer();
+    if (this.signInUserSession != null && this.signInUserSession.isValid(expiryBuffer)) {
+      return this.signInUserSession;
+    }
 
-      const keyPrefix = `CognitoIdentityServiceProvider.${this.pool.getClientId()}.${this.username}`;
-      const idTokenKey = `${keyPrefix}.idToken`;
-      const accessTokenKey = `${keyPrefix}.accessToken`;
-      const refreshTokenKey = `${keyPrefix}.refreshToken`;
+    // A session restored with fromSession is not in the pool storage.
+    const cachedSession = this.sessionInStorage ?
+      await this.getCachedSession() || this.signInUserSession : this.signInUserSession;
+    if (cachedSession == null) {
+      throw new CognitoError.NotAuthenticatedError('Cannot retrieve a new session. Please authenticate.');
+    }
+    if (cachedSession.isValid(expiryBuffer)) {
+      this.signInUserSession = cachedSession;
+      return this.signInUserSession;
+    }
 
-  //    const storage = window.localStorage;
-      const storage = new LocalStorage('/tmp/storage');
+    const refreshToken = cachedSession.getRefreshToken();
+    if (refreshToken == null || !refreshToken.getToken()) {
+      throw new CognitoError.NotAuthenticatedError('Cannot retrieve a new session. Please authenticate.');
+    }
 
-      if (storage.getItem(idTokenKey)) {
-        const idToken = new CognitoIdToken({
-          IdToken: storage.getItem(idTokenKey),
-        });
-        const accessToken = new CognitoAccessToken({
-          AccessToken: storage.getItem(accessTokenKey),
-        });
-        const refreshToken = new CognitoRefreshToken({
-          RefreshToken: storage.getItem(refreshTokenKey),
-        });
+    return this.refreshSession(refreshToken);
+  }
 
-        const sessionData = {
-          IdToken: idToken,
-          AccessToken: accessToken,
-          RefreshToken: refreshToken,
-        };
-        const cachedSession = new CognitoUserSession(sessionData);
-        if (cachedSession.isValid()) {
-          this.signInUserSession = cachedSession;
-          return resolve(this.signInUserSession);
-        }
+  /**
+   * This is used to read the session cached in the pool storage
+   * @returns {Promise<CognitoUserSession>} the cached session, which may have expired,
+   *          or null if no session is cached
+   * @private
+   */
+  async getCachedSession() {
+    const keyPrefix = `CognitoIdentityServiceProvider.${this.pool.getClientId()}.${this.username}`;
+    const idTokenKey = `${keyPrefix}.idToken`;
+    const accessTokenKey = `${keyPrefix}.accessToken`;
+    const refreshTokenKey = `${keyPrefix}.refreshToken`;
+    const clockDriftKey = `${keyPrefix}.clockDrift`;
 
-        if (refreshToken.getToken() == null) {
-          return reject(new Error('Cannot retrieve a new session. Please authenticate.'));
-        }
+    const storage = this.pool.getStorage();
 
-        return this.refreshSession(refreshToken).then(value => {
-          resolve(value);
-        }).catch(err => {
-          reject(err);
-        });
-      }
-      return undefined;
+    const cachedIdToken = await storage.getItem(idTokenKey);
+    if (!cachedIdToken) {
+      return null;
+    }
+
+    const idToken = new CognitoIdToken({
+      IdToken: cachedIdToken,
+    });
+    const accessToken = new CognitoAccessToken({
+      AccessToken: await storage.getItem(accessTokenKey),
+    });
+    const refreshToken = new CognitoRefreshToken({
+      RefreshToken: await storage.getItem(refreshTokenKey),
     });
-  }
 
+    const sessionData = {
+      IdToken: idToken,
+      AccessToken: accessToken,
+      RefreshToken: refreshToken,
+      ClockDrift: parseInt(await storage.getItem(clockDriftKey), 10) || 0,
+    };
+    return new CognitoUserSession(sessionData);
+  }
 
   /**
-   * This uses the refreshToken to retrieve a new session
+   * This uses the refreshToken to retrieve a new session. Concurrent refreshes for
+   * the same user of a pool, from this or other CognitoUser objects, share one
+   * request. When the pool has a RefreshLock, processes sharing the pool storage
+   * also wait for each other and reuse the tokens the first one cached.
    * @param {CognitoRefreshToken} refreshToken A previous session's refresh token.
-   * @param {nodeCallback<CognitoUserSession>} callback Called on success or error.
-   * @returns {void}
+   * @returns {Promise<CognitoUserSession>} the refreshed session
    */
   async refreshSession(refreshToken) {
+    const session = await this.pool.singleFlight(
+      `refresh.${this.username}`,
+      () => this.refreshSessionLocked(refreshToken));
+
+    this.signInUserSession = session;
+    return session;
+  }
+
+  /**
+   * Refreshes the session while holding the pool's cross-process refresh lock, if any
+   * @param {CognitoRefreshToken} refreshToken A previous session's refresh token.
+   * @returns {Promise<CognitoUserSession>} the refreshed session
+   * @private
+   */
+  async refreshSessionLocked(refreshToken) {
+    // Only sessions in the pool storage can be picked up from another process.
+    const refreshLock = this.pool.getRefreshLock();
+    if (refreshLock == null || !this.sessionInStorage) {
+      return this.refreshSessionInternal(refreshToken);
+    }
+
+    const storage = this.pool.getStorage();
+    const lockKey = `CognitoIdentityServiceProvider.${this.pool.getClientId()}.${this.username}.refreshLock`;
+    const deadline = Date.now() + refreshLock.Ttl;
+
+    let lockOwner = await storage.acquireLock(lockKey, refreshLock.Ttl);
+    if (lockOwner == null) {
+      // Another process is refreshing, use its tokens once it is done.
+      while (lockOwner == null && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, refreshLock.PollInterval));
+        const cachedSession = await this.getCachedSession();
+        if (cachedSession != null && cachedSession.isValid(this.pool.getExpiryBuffer())) {
+          return cachedSession;
+        }
+        lockOwner = await storage.acquireLock(lockKey, refreshLock.Ttl);
+      }
+    }
+
+    try {
+      return await this.refreshSessionInternal(refreshToken);
+    } finally {
+      if (lockOwner != null) {
+        await storage.releaseLock(lockKey, lockOwner);
+      }
+    }
+  }
+
+  /**
+   * Sends the REFRESH_TOKEN_AUTH request and caches the new tokens, unless the
+   * session is kept outside the pool storage
+   * @param {CognitoRefreshToken} refreshToken A previous session's refresh token.
+   * @returns {Promise<CognitoUserSession>} the refreshed session
+   * @private
+   */
+  async refreshSessionInternal(refreshToken) {
     const authParameters = {};
     authParameters.REFRESH_TOKEN = refreshToken.getToken();
     const keyPrefix = `CognitoIdentityServiceProvider.${this.pool.getClientId()}`;
     const lastUserKey = `${keyPrefix}.LastAuthUser`;
-//    const storage = window.localStorage;
-    const storage = new LocalStorage('/tmp/storage');
+    const storage = this.pool.getStorage();
 
-    if (storage.getItem(lastUserKey)) {
+    if (await storage.getItem(lastUserKey)) {
 //  Should set username directly like:
 //  cognitoUser.username = 'hoge@hoge.com'
-//      this.username = storage.getItem(lastUserKey);
       const deviceKeyKey = `${keyPrefix}.${this.username}.deviceKey`;
-      this.deviceKey = storage.getItem(deviceKeyKey);
+      this.deviceKey = await storage.getItem(deviceKeyKey);
       authParameters.DEVICE_KEY = this.deviceKey;
     }
 
+    if (this.pool.getClientSecret()) {
+      // The hash must use the username Cognito authenticated, which can differ
+      // from the alias the user signed in with, so read it from the access token.
+      let accessToken = this.signInUserSession != null ?
+        this.signInUserSession.getAccessToken() : null;
+      if (accessToken == null) {
+        accessToken = new CognitoAccessToken({
+          AccessToken: await storage.getItem(`${keyPrefix}.${this.username}.accessToken`),
+        });
+      }
+      authParameters.SECRET_HASH = this.pool.calculateSecretHash(
+        accessToken.getUsername() || this.username);
+    }
+
     return new Promise((resolve, reject) => {
-      this.client.makeUnauthenticatedRequest('initiateAuth', {
+      this.authRequest('initiateAuth', {
         ClientId: this.pool.getClientId(),
         AuthFlow: 'REFRESH_TOKEN_AUTH',
         AuthParameters: authParameters,
@@ -923,14 +1486,46 @@ module.exports = class CognitoUser {
             authenticationResult.RefreshToken = refreshToken.getToken();
           }
           this.signInUserSession = this.getCognitoUserSession(authenticationResult);
-          this.cacheTokens();
-          return resolve(this.signInUserSession);
+          if (!this.sessionInStorage) {
+            return resolve(this.signInUserSession);
+          }
+          return this.cacheTokens().then(() => {
+            resolve(this.signInUserSession);
+          }).catch(errCache => {
+            reject(errCache);
+          });
         }
         return undefined;
       });
     });
   }
 
+  /**
+   * This is used to keep the session fresh in the background. The session is refreshed
+   * shortly before its access or Id token expires, until stopAutoRefresh or signOut
+   * is called. The timers never keep the process alive.
+   * @param {object=} options Options of SessionRefreshScheduler.
+   * @returns {SessionRefreshScheduler} the scheduler, which emits 'refreshed' and 'failed'
+   */
+  startAutoRefresh(options) {
+    this.stopAutoRefresh();
+    const autoRefresh = new SessionRefreshScheduler(this, options);
+    autoRefresh.start();
+    this.autoRefresh = autoRefresh;
+    return autoRefresh;
+  }
+
+  /**
+   * This is used to stop refreshing the session in the background
+   * @returns {void}
+   */
+  stopAutoRefresh() {
+    if (this.autoRefresh != null) {
+      this.autoRefresh.stop();
+      this.autoRefresh = null;
+    }
+  }
+
   /**
    * This is used to build a user session from tokens retrieved in the authentication result
    * @param {object} authResult Successful auth response from server.
@@ -946,25 +1541,27 @@ module.exports = class CognitoUser {
       IdToken: idToken,
       AccessToken: accessToken,
       RefreshToken: refreshToken,
+      ClockDrift: CognitoUserSession.calculateClockDrift(idToken, accessToken),
     };
 
-    return new CognitoUserSession(sessionData);
+    const session = new CognitoUserSession(sessionData);
+    this.pool.setClockDrift(session.getClockDrift());
+    return session;
   }
 
   /**
    * This is used to initiate a forgot password request
-   * @param {object} callback Result callback map.
-   * @param {onFailure} callback.onFailure Called on any error.
-   * @param {inputVerificationCode?} callback.inputVerificationCode
-   *    Optional callback raised instead of onSuccess with response data.
-   * @param {onSuccess<void>?} callback.onSuccess Called on success.
-   * @returns {void}
+   * @param {object=} clientMetadata Key-value pairs for the Lambda triggers, merged
+   *        over the pool's ClientMetadata.
+   * @returns {Promise<object>} the code delivery details
    */
-  async forgotPassword() {
+  async forgotPassword(clientMetadata) {
     return new Promise((resolve, reject) => {
-      this.client.makeUnauthenticatedRequest('forgotPassword', {
+      this.pool.sendRequest('forgotPassword', {
         ClientId: this.pool.getClientId(),
+        SecretHash: this.pool.calculateSecretHash(this.username),
         Username: this.username,
+        ClientMetadata: this.pool.getClientMetadata(clientMetadata),
       }, (err, data) => {
         if (err) {
           return reject(err);
@@ -979,18 +1576,19 @@ module.exports = class CognitoUser {
    * This is used to confirm a new password using a confirmationCode
    * @param {string} confirmationCode Code entered by user.
    * @param {string} newPassword Confirm new password.
-   * @param {object} callback Result callback map.
-   * @param {onFailure} callback.onFailure Called on any error.
-   * @param {onSuccess<void>} callback.onSuccess Called on success.
-   * @returns {void}
+   * @param {object=} clientMetadata Key-value pairs for the Lambda triggers, merged
+   *        over the pool's ClientMetadata.
+   * @returns {Promise<void>}
    */
-  async confirmPassword(confirmationCode, newPassword) {
+  async confirmPassword(confirmationCode, newPassword, clientMetadata) {
     return new Promise((resolve, reject) => {
-      this.client.makeUnauthenticatedRequest('confirmForgotPassword', {
+      this.pool.sendRequest('confirmForgotPassword', {
         ClientId: this.pool.getClientId(),
+        SecretHash: this.pool.calculateSecretHash(this.username),
         Username: this.username,
         ConfirmationCode: confirmationCode,
         Password: newPassword,
+        ClientMetadata: this.pool.getClientMetadata(clientMetadata),
       }, err => {
         if (err) {
           return reject(err);
@@ -1003,20 +1601,20 @@ module.exports = class CognitoUser {
   /**
    * This is used to initiate an attribute confirmation request
    * @param {string} attributeName User attribute that needs confirmation.
-   * @param {object} callback Result callback map.
-   * @param {onFailure} callback.onFailure Called on any error.
-   * @param {inputVerificationCode} callback.inputVerificationCode Called on success.
-   * @returns {void}
+   * @param {object=} clientMetadata Key-value pairs for the Lambda triggers, merged
+   *        over the pool's ClientMetadata.
+   * @returns {Promise<object>} the code delivery details
    */
-  async getAttributeVerificationCode(attributeName) {
+  async getAttributeVerificationCode(attributeName, clientMetadata) {
     return new Promise((resolve, reject) => {
       if (this.signInUserSession == null || !this.signInUserSession.isValid()) {
-        return reject(new Error('User is not authenticated'));
+        return reject(this.notAuthenticatedError());
       }
 
-      this.client.makeUnauthenticatedRequest('getUserAttributeVerificationCode', {
+      this.pool.sendRequest('getUserAttributeVerificationCode', {
         AttributeName: attributeName,
         AccessToken: this.signInUserSession.getAccessToken().getJwtToken(),
+        ClientMetadata: this.pool.getClientMetadata(clientMetadata),
       }, (err, data) => {
         if (err) {
           return reject(err);
@@ -1039,10 +1637,10 @@ module.exports = class CognitoUser {
   async verifyAttribute(attributeName, confirmationCode) {
     return new Promise((resolve, reject) => {
       if (this.signInUserSession == null || !this.signInUserSession.isValid()) {
-        return reject(new Error('User is not authenticated'));
+        return reject(this.notAuthenticatedError());
       }
 
-      this.client.makeUnauthenticatedRequest('verifyUserAttribute', {
+      this.pool.sendRequest('verifyUserAttribute', {
         AttributeName: attributeName,
         Code: confirmationCode,
         AccessToken: this.signInUserSession.getAccessToken().getJwtToken(),
@@ -1066,10 +1664,10 @@ module.exports = class CognitoUser {
   async getDevice() {
     return new Promise((resolve, reject) => {
       if (this.signInUserSession == null || !this.signInUserSession.isValid()) {
-        return resolve(new Error('User is not authenticated'));
+        return reject(this.notAuthenticatedError());
       }
 
-      this.client.makeUnauthenticatedRequest('getDevice', {
+      this.pool.sendRequest('getDevice', {
         AccessToken: this.signInUserSession.getAccessToken().getJwtToken(),
         DeviceKey: this.deviceKey,
       }, (err, data) => {
@@ -1092,20 +1690,21 @@ module.exports = class CognitoUser {
   async forgetDevice() {
     return new Promise((resolve, reject) => {
       if (this.signInUserSession == null || !this.signInUserSession.isValid()) {
-        return reject(new Error('User is not authenticated'));
+        return reject(this.notAuthenticatedError());
       }
 
-      this.client.makeUnauthenticatedRequest('forgetDevice', {
+      this.pool.sendRequest('forgetDevice', {
         AccessToken: this.signInUserSession.getAccessToken().getJwtToken(),
         DeviceKey: this.deviceKey,
       }, err => {
         if (err) {
           return reject(err);
         }
-        this.deviceKey = null;
-        this.deviceGroupkey = null;
-        this.randomPassword = null;
-        return resolve('SUCCESS');
+        return this.clearCachedDeviceKeyAndPassword().then(() => {
+          resolve('SUCCESS');
+        }).catch(errClear => {
+          reject(errClear);
+        });
       });
       return undefined;
     });
@@ -1121,10 +1720,10 @@ module.exports = class CognitoUser {
   async setDeviceStatusRemembered() {
     return new Promise((resolve, reject) => {
       if (this.signInUserSession == null || !this.signInUserSession.isValid()) {
-        return reject(new Error('User is not authenticated'));
+        return reject(this.notAuthenticatedError());
       }
 
-      this.client.makeUnauthenticatedRequest('updateDeviceStatus', {
+      this.pool.sendRequest('updateDeviceStatus', {
         AccessToken: this.signInUserSession.getAccessToken().getJwtToken(),
         DeviceKey: this.deviceKey,
         DeviceRememberedStatus: 'remembered',
@@ -1148,10 +1747,10 @@ module.exports = class CognitoUser {
   async setDeviceStatusNotRemembered() {
     return new Promise((resolve, reject) => {
       if (this.signInUserSession == null || !this.signInUserSession.isValid()) {
-        return reject(new Error('User is not authenticated'));
+        return reject(this.notAuthenticatedError());
       }
 
-      this.client.makeUnauthenticatedRequest('updateDeviceStatus', {
+      this.pool.sendRequest('updateDeviceStatus', {
         AccessToken: this.signInUserSession.getAccessToken().getJwtToken(),
         DeviceKey: this.deviceKey,
         DeviceRememberedStatus: 'not_remembered',
@@ -1178,10 +1777,10 @@ module.exports = class CognitoUser {
   async listDevices(limit, paginationToken) {
     return new Promise((resolve, reject) => {
       if (this.signInUserSession == null || !this.signInUserSession.isValid()) {
-        return reject(new Error('User is not authenticated'));
+        return reject(this.notAuthenticatedError());
       }
 
-      this.client.makeUnauthenticatedRequest('listDevices', {
+      this.pool.sendRequest('listDevices', {
         AccessToken: this.signInUserSession.getAccessToken().getJwtToken(),
         Limit: limit,
         PaginationToken: paginationToken,
@@ -1196,132 +1795,219 @@ module.exports = class CognitoUser {
   }
 
   /**
-   * This is used to globally revoke all tokens issued to a user
-   * @param {object} callback Result callback map.
-   * @param {onFailure} callback.onFailure Called on any error.
-   * @param {onSuccess<string>} callback.onSuccess Called on success.
-   * @returns {void}
+   * This is used to iterate over all devices of the user, following the pagination
+   * tokens, as in for await (const device of cognitoUser.devices())
+   * @param {object=} options Paging options.
+   * @param {int=} options.pageSize Devices to request per call, up to 60.
+   * @param {int=} options.maxItems Stop after this many devices.
+   * @returns {PaginationHelper} an async iterable of the devices
+   */
+  devices(options) {
+    return new PaginationHelper(async (limit, token) => {
+      const data = await this.listDevices(limit, token);
+      return { items: data.Devices, nextToken: data.PaginationToken };
+    }, options);
+  }
+
+  /**
+   * This is used to globally revoke all tokens issued to a user. The session is
+   * loaded with getSession first, so this also works for a user from
+   * getCurrentUser, and an expired access token is refreshed.
+   * @returns {Promise<string>} SUCCESS once the user is signed out everywhere
    */
   async globalSignOut() {
+    const session = await this.getSession();
+
     return new Promise((resolve, reject) => {
-      if (this.signInUserSession == null || !this.signInUserSession.isValid()) {
-        return reject(new Error('User is not authenticated'));
-      }
+      this.pool.sendRequest('globalSignOut', {
+        AccessToken: session.getAccessToken().getJwtToken(),
+      }, err => {
+        if (err) {
+          return reject(err);
+        }
+        return resolve('SUCCESS');
+      });
+    });
+  }
 
-      this.client.makeUnauthenticatedRequest('globalSignOut', {
-        AccessToken: this.signInUserSession.getAccessToken().getJwtToken(),
+  /**
+   * This is used to revoke a refresh token, along with the access tokens issued with it
+   * @param {CognitoRefreshToken=} refreshToken The token to revoke. Defaults to the
+   *        refresh token of the current or cached session.
+   * @returns {Promise<string>} SUCCESS once the token is revoked
+   */
+  async revokeToken(refreshToken) {
+    let token = refreshToken;
+    if (token == null) {
+      const session = this.signInUserSession || await this.getCachedSession();
+      token = session != null ? session.getRefreshToken() : null;
+    }
+    if (token == null || !token.getToken()) {
+      throw new CognitoError('There is no refresh token to revoke.', { code: 'InvalidParameterException' });
+    }
+
+    return new Promise((resolve, reject) => {
+      this.pool.sendRequest('revokeToken', {
+        Token: token.getToken(),
+        ClientId: this.pool.getClientId(),
+        ClientSecret: this.pool.getClientSecret() || undefined,
       }, err => {
         if (err) {
           return reject(err);
         }
         return resolve('SUCCESS');
       });
-      return undefined;
     });
   }
 
   /**
-   * This is used to save the session tokens to local storage
-   * @returns {void}
+   * This is used to save the session tokens to the pool storage
+   * @returns {Promise<void>}
    */
-  cacheTokens() {
+  async cacheTokens() {
     const keyPrefix = `CognitoIdentityServiceProvider.${this.pool.getClientId()}`;
     const idTokenKey = `${keyPrefix}.${this.username}.idToken`;
     const accessTokenKey = `${keyPrefix}.${this.username}.accessToken`;
     const refreshTokenKey = `${keyPrefix}.${this.username}.refreshToken`;
+    const clockDriftKey = `${keyPrefix}.${this.username}.clockDrift`;
     const lastUserKey = `${keyPrefix}.LastAuthUser`;
 
-//    const storage = window.localStorage;
-    const storage = new LocalStorage('/tmp/storage');
+    const storage = this.pool.getStorage();
 
-    storage.setItem(idTokenKey, this.signInUserSession.getIdToken().getJwtToken());
-    storage.setItem(accessTokenKey, this.signInUserSession.getAccessToken().getJwtToken());
-    storage.setItem(refreshTokenKey, this.signInUserSession.getRefreshToken().getToken());
-    storage.setItem(lastUserKey, this.username);
+    await storage.setItem(idTokenKey, this.signInUserSession.getIdToken().getJwtToken());
+    await storage.setItem(accessTokenKey, this.signInUserSession.getAccessToken().getJwtToken());
+    await storage.setItem(refreshTokenKey, this.signInUserSession.getRefreshToken().getToken());
+    await storage.setItem(clockDriftKey, `${this.signInUserSession.getClockDrift()}`);
+    await storage.setItem(lastUserKey, this.username);
   }
 
   /**
    * This is used to cache the device key and device group and device password
-   * @returns {void}
+   * @returns {Promise<void>}
    */
-  cacheDeviceKeyAndPassword() {
+  async cacheDeviceKeyAndPassword() {
     const keyPrefix = `CognitoIdentityServiceProvider.${this.pool.getClientId()}.${this.username}`;
     const deviceKeyKey = `${keyPrefix}.deviceKey`;
     const randomPasswordKey = `${keyPrefix}.randomPasswordKey`;
     const deviceGroupKeyKey = `${keyPrefix}.deviceGroupKey`;
 
-//    const storage = window.localStorage;
-    const storage = new LocalStorage('/tmp/storage');
+    const storage = this.pool.getStorage();
 
-    storage.setItem(deviceKeyKey, this.deviceKey);
-    storage.setItem(randomPasswordKey, this.randomPassword);
-    storage.setItem(deviceGroupKeyKey, this.deviceGroupKey);
+    await storage.setItem(deviceKeyKey, this.deviceKey);
+    await storage.setItem(randomPasswordKey, this.randomPassword);
+    await storage.setItem(deviceGroupKeyKey, this.deviceGroupKey);
   }
 
   /**
    * This is used to get current device key and device group and device password
-   * @returns {void}
+   * @returns {Promise<void>}
    */
-  getCachedDeviceKeyAndPassword() {
+  async getCachedDeviceKeyAndPassword() {
     const keyPrefix = `CognitoIdentityServiceProvider.${this.pool.getClientId()}.${this.username}`;
     const deviceKeyKey = `${keyPrefix}.deviceKey`;
     const randomPasswordKey = `${keyPrefix}.randomPasswordKey`;
     const deviceGroupKeyKey = `${keyPrefix}.deviceGroupKey`;
 
-//    const storage = window.localStorage;
-    const storage = new LocalStorage('/tmp/storage');
+    const storage = this.pool.getStorage();
 
-    if (storage.getItem(deviceKeyKey)) {
-      this.deviceKey = storage.getItem(deviceKeyKey);
-      this.randomPassword = storage.getItem(randomPasswordKey);
-      this.deviceGroupKey = storage.getItem(deviceGroupKeyKey);
+    const deviceKey = await storage.getItem(deviceKeyKey);
+    if (deviceKey) {
+      this.deviceKey = deviceKey;
+      this.randomPassword = await storage.getItem(randomPasswordKey);
+      this.deviceGroupKey = await storage.getItem(deviceGroupKeyKey);
     }
   }
 
   /**
-   * This is used to clear the device key info from local storage
-   * @returns {void}
+   * This is used to clear the device key info from this user and the pool storage
+   * @returns {Promise<void>}
    */
-  clearCachedDeviceKeyAndPassword() {
+  async clearCachedDeviceKeyAndPassword() {
+    this.deviceKey = null;
+    this.deviceGroupKey = null;
+    this.randomPassword = null;
+
     const keyPrefix = `CognitoIdentityServiceProvider.${this.pool.getClientId()}.${this.username}`;
     const deviceKeyKey = `${keyPrefix}.deviceKey`;
     const randomPasswordKey = `${keyPrefix}.randomPasswordKey`;
     const deviceGroupKeyKey = `${keyPrefix}.deviceGroupKey`;
 
-//    const storage = window.localStorage;
-    const storage = new LocalStorage('/tmp/storage');
+    const storage = this.pool.getStorage();
 
-    storage.removeItem(deviceKeyKey);
-    storage.removeItem(randomPasswordKey);
-    storage.removeItem(deviceGroupKeyKey);
+    await storage.removeItem(deviceKeyKey);
+    await storage.removeItem(randomPasswordKey);
+    await storage.removeItem(deviceGroupKeyKey);
   }
 
   /**
-   * This is used to clear the session tokens from local storage
-   * @returns {void}
+   * This is used to clear the session tokens from the pool storage
+   * @returns {Promise<void>}
    */
-  clearCachedTokens() {
+  async clearCachedTokens() {
     const keyPrefix = `CognitoIdentityServiceProvider.${this.pool.getClientId()}`;
     const idTokenKey = `${keyPrefix}.${this.username}.idToken`;
     const accessTokenKey = `${keyPrefix}.${this.username}.accessToken`;
     const refreshTokenKey = `${keyPrefix}.${this.username}.refreshToken`;
+    const clockDriftKey = `${keyPrefix}.${this.username}.clockDrift`;
     const lastUserKey = `${keyPrefix}.LastAuthUser`;
 
-//    const storage = window.localStorage;
-    const storage = new LocalStorage('/tmp/storage');
+    const storage = this.pool.getStorage();
 
-    storage.removeItem(idTokenKey);
-    storage.removeItem(accessTokenKey);
-    storage.removeItem(refreshTokenKey);
-    storage.removeItem(lastUserKey);
+    await storage.removeItem(idTokenKey);
+    await storage.removeItem(accessTokenKey);
+    await storage.removeItem(refreshTokenKey);
+    await storage.removeItem(clockDriftKey);
+    await storage.removeItem(lastUserKey);
   }
 
   /**
    * This is used for the user to signOut of the application and clear the cached tokens.
-   * @returns {void}
+   * The local state is always cleared. If revoking the refresh token or the global sign
+   * out fails, the promise is rejected afterwards with an error whose errors property
+   * lists the failures.
+   * @param {object=} options Sign out options.
+   * @param {bool=} options.revoke Revoke the refresh token, so it cannot be used again.
+   * @param {bool=} options.global Sign the user out of all devices with globalSignOut.
+   * @param {bool=} options.clearDevice Also clear the cached device secrets. Defaults
+   *        to true when revoke or global is set.
+   * @returns {Promise<void>}
    */
-  signOut() {
+  async signOut(options) {
+    const data = options || {};
+    const revoke = !!data.revoke;
+    const global = !!data.global;
+    const clearDevice = data.clearDevice != null ? !!data.clearDevice : revoke || global;
+    const errors = [];
+
+    this.stopAutoRefresh();
+
+    if (global) {
+      try {
+        await this.globalSignOut();
+      } catch (err) {
+        errors.push({ operation: 'globalSignOut', error: err });
+      }
+    }
+    if (revoke) {
+      try {
+        await this.revokeToken();
+      } catch (err) {
+        errors.push({ operation: 'revokeToken', error: err });
+      }
+    }
+
     this.signInUserSession = null;
-    self.clearCachedTokens();
+    this.pendingChallenge = null;
+    await this.clearCachedTokens();
+    if (clearDevice) {
+      await this.clearCachedDeviceKeyAndPassword();
+    }
+
+    if (errors.length > 0) {
+      const err = new CognitoError(`Signed out locally, but ${errors.map(failure =>
+        `${failure.operation} failed: ${failure.error.message}`).join('; ')}`);
+      err.errors = errors;
+      throw err;
+    }
   }
 }
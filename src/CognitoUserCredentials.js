@@ -0,0 +1,150 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict'
+var AWS = require('aws-sdk/global');
+var CognitoIdentity = require('aws-sdk/clients/cognitoidentity');
+
+const defaultExpiryWindow = 60;
+
+/** @class */
+module.exports = class CognitoUserCredentials extends AWS.Credentials {
+  /**
+   * Constructs a new CognitoUserCredentials object, temporary AWS credentials
+   * for a signed in user from a Cognito identity pool. It can be given to any
+   * aws-sdk client as its credentials.
+   *
+   * The user's Id token is exchanged with getId and getCredentialsForIdentity.
+   * The identity id is cached in the pool storage. The credentials are refreshed
+   * shortly before they expire, after refreshing the user's session if its
+   * tokens have expired too.
+   *
+   * @param {object} data Creation options.
+   * @param {CognitoUser} data.User The signed in user.
+   * @param {string} data.IdentityPoolId Identity pool id, as region:guid.
+   * @param {int=} data.ExpiryWindow Seconds before expiry at which the credentials
+   *        are refreshed. Defaults to 60.
+   * @param {object=} data.Logins Logins of other providers to link to the identity.
+   * @param {AWS.CognitoIdentity=} data.Client Cognito Identity client to use.
+   */
+  constructor(data) {
+    super();
+    const options = data || {};
+    if (options.User == null || !options.IdentityPoolId) {
+      throw new Error('Both User and IdentityPoolId are required.');
+    }
+    if (!/^[\w-]+:[0-9a-f-]+$/.test(options.IdentityPoolId)) {
+      throw new Error('Invalid IdentityPoolId format.');
+    }
+
+    this.user = options.User;
+    this.identityPoolId = options.IdentityPoolId;
+    this.expiryWindow = options.ExpiryWindow != null ? options.ExpiryWindow : defaultExpiryWindow;
+    this.logins = options.Logins || {};
+    this.identityId = null;
+    this.client = options.Client || new CognitoIdentity({
+      apiVersion: '2014-06-30',
+      region: this.identityPoolId.split(':')[0],
+    });
+  }
+
+  /**
+   * @returns {string} the identity id, once the credentials were loaded
+   */
+  getIdentityId() {
+    return this.identityId;
+  }
+
+  /**
+   * Loads new credentials. Called by the aws-sdk when the credentials are
+   * missing or about to expire.
+   * @param {function(Error=):void} callback Called when the credentials are loaded.
+   * @returns {void}
+   */
+  refresh(callback) {
+    this.loadCredentials().then(() => {
+      this.expired = false;
+      callback();
+    }, callback);
+  }
+
+  /**
+   * Exchanges the user's Id token for credentials
+   * @returns {Promise<void>}
+   * @private
+   */
+  async loadCredentials() {
+    const session = await this.user.getSession();
+    const pool = this.user.pool;
+    const region = pool.getUserPoolId().split('_')[0];
+    const logins = Object.assign({}, this.logins, {
+      [`cognito-idp.${region}.amazonaws.com/${pool.getUserPoolId()}`]:
+        session.getIdToken().getJwtToken(),
+    });
+
+    const storage = pool.getStorage();
+    const identityIdKey = `CognitoIdentityServiceProvider.${pool.getClientId()}.${this.user.getUsername()}.identityId.${this.identityPoolId}`;
+    let identityId = await storage.getItem(identityIdKey);
+    const cached = identityId != null;
+
+    if (!cached) {
+      identityId = (await this.request('getId', {
+        IdentityPoolId: this.identityPoolId,
+        Logins: logins,
+      })).IdentityId;
+      await storage.setItem(identityIdKey, identityId);
+    }
+
+    let data;
+    try {
+      data = await this.request('getCredentialsForIdentity', {
+        IdentityId: identityId,
+        Logins: logins,
+      });
+    } catch (err) {
+      // The cached identity may have been deleted or belong to another pool.
+      if (!cached || (err.code !== 'ResourceNotFoundException' && err.code !== 'NotAuthorizedException')) {
+        throw err;
+      }
+      await storage.removeItem(identityIdKey);
+      return this.loadCredentials();
+    }
+
+    this.identityId = data.IdentityId || identityId;
+    this.accessKeyId = data.Credentials.AccessKeyId;
+    this.secretAccessKey = data.Credentials.SecretKey;
+    this.sessionToken = data.Credentials.SessionToken;
+    this.expireTime = data.Credentials.Expiration;
+  }
+
+  /**
+   * Sends an unauthenticated request to Cognito Identity
+   * @param {string} operation The operation.
+   * @param {object} params The request parameters.
+   * @returns {Promise<object>} the response data
+   * @private
+   */
+  request(operation, params) {
+    return new Promise((resolve, reject) => {
+      this.client.makeUnauthenticatedRequest(operation, params, (err, data) => {
+        if (err) {
+          return reject(err);
+        }
+        return resolve(data);
+      });
+    });
+  }
+}
@@ -16,8 +16,52 @@
  */
 'use strict'
 var CognitoIdentityServiceProvider = require('aws-sdk/clients/cognitoidentityserviceprovider');
+var sjcl = require('sjcl');
 
+var CognitoAuthMiddleware = require('./CognitoAuthMiddleware');
+var CognitoClientCredentials = require('./CognitoClientCredentials');
+var CognitoError = require('./CognitoError');
 var CognitoUser = require('./CognitoUser');
+var CognitoUserAttribute = require('./CognitoUserAttribute');
+var EncryptedStorage = require('./EncryptedStorage');
+var MemoryStorage = require('./MemoryStorage');
+var PaginationHelper = require('./PaginationHelper');
+var StorageHelper = require('./StorageHelper');
+
+// Operations that are safe to send again when the first attempt may have been
+// processed. Others, such as signUp or forgotPassword, are only retried when
+// named in RetryPolicy.RetryOperations. Sign ins are left out since they can
+// send one time codes, for example through a CUSTOM_AUTH trigger.
+const idempotentOperations = [
+  'getUser',
+  'adminGetUser',
+  'getDevice',
+  'listDevices',
+  'listUsers',
+  'listGroups',
+  'getGroup',
+  'listUsersInGroup',
+  'adminListGroupsForUser',
+  'deleteUserAttributes',
+  'setUserSettings',
+  'setUserMFAPreference',
+  'updateDeviceStatus',
+  'globalSignOut',
+  'revokeToken',
+  'adminDisableUser',
+  'adminEnableUser',
+  'adminSetUserPassword',
+  'adminAddUserToGroup',
+  'adminRemoveUserFromGroup',
+  'updateGroup',
+];
+
+// SRP challenge answers are signed with a TIMESTAMP and use up the SRP session,
+// so they are never sent again. The sign in has to be started over instead.
+const srpChallenges = ['PASSWORD_VERIFIER', 'DEVICE_SRP_AUTH', 'DEVICE_PASSWORD_VERIFIER'];
+
+// Refreshing the tokens sends no messages, so it is retried like the operations above.
+const idempotentAuthFlows = ['REFRESH_TOKEN_AUTH', 'REFRESH_TOKEN'];
 
 /** @class */
 module.exports = class CognitoUserPool {
@@ -26,7 +70,45 @@ module.exports = class CognitoUserPool {
    * @param {object} data Creation options.
    * @param {string} data.UserPoolId Cognito user pool id.
    * @param {string} data.ClientId User pool application client id.
+   * @param {string=} data.ClientSecret User pool application client secret, for
+   *        app clients that have one.
    * @param {int=} data.Paranoia Random number generation paranoia level.
+   * @param {object=} data.Storage Storage adapter used to cache tokens and
+   *        device secrets. Must implement getItem, setItem, removeItem and
+   *        clear, synchronously or with promises. Defaults to a MemoryStorage.
+   * @param {object=} data.StorageEncryption When set, everything written to the
+   *        storage is encrypted. Takes the options of EncryptedStorage.
+   * @param {int=} data.ExpiryBuffer Seconds before expiry at which getSession
+   *        already refreshes the tokens.
+   * @param {AWS.Credentials=} data.AdminCredentials IAM credentials allowed to call the
+   *        admin APIs, for the admin user management methods and AdminAuth.
+   * @param {AWS.CognitoIdentityServiceProvider=} data.AdminClient A client that signs
+   *        its requests, used instead of one built from AdminCredentials.
+   * @param {bool=} data.AdminAuth Turns on admin mode, where users authenticate through
+   *        adminInitiateAuth and adminRespondToAuthChallenge. Needs AdminCredentials or
+   *        an AdminClient. Defaults to false.
+   * @param {object=} data.ClientMetadata Key-value pairs sent to the Lambda triggers
+   *        with every request, under those given to the request itself.
+   * @param {string=} data.Domain The pool domain hosting the OAuth2 endpoints, such as
+   *        myapp.auth.us-east-1.amazoncognito.com.
+   * @param {(bool|object)=} data.RefreshLock Coordinates session refreshes between
+   *        processes sharing the storage, so only one of them uses the refresh token.
+   * @param {int=} data.RefreshLock.Ttl Milliseconds a refresh may hold the lock, and
+   *        the longest time others wait for it. Defaults to 10000.
+   * @param {int=} data.RefreshLock.PollInterval Milliseconds between checks while
+   *        waiting for the lock. Defaults to 100.
+   * @param {(bool|object)=} data.RetryPolicy How failed requests to Cognito are retried,
+   *        or false to never retry them.
+   * @param {int=} data.RetryPolicy.MaxAttempts Attempts per request. Defaults to 3.
+   * @param {int=} data.RetryPolicy.BaseDelay Milliseconds before the first retry, doubled
+   *        for each further one. Defaults to 100.
+   * @param {int=} data.RetryPolicy.MaxDelay Longest delay in milliseconds. Defaults to 5000.
+   * @param {bool=} data.RetryPolicy.Jitter Wait a random time up to the delay, so clients
+   *        throttled together do not retry together. Defaults to true.
+   * @param {string[]=} data.RetryPolicy.RetryableCodes Error codes to retry. Defaults
+   *        to throttling, internal and network errors.
+   * @param {string[]=} data.RetryPolicy.RetryOperations Operations that are not
+   *        idempotent, such as signUp, to retry anyway.
    */
   constructor(data) {
     const UserPoolId = data.UserPoolId || '';
@@ -34,18 +116,69 @@ module.exports = class CognitoUserPool {
     const Paranoia = data.Paranoia || '';
 
     if (!UserPoolId || !ClientId) {
-      throw new Error('Both UserPoolId and ClientId are required.');
+      throw new CognitoError('Both UserPoolId and ClientId are required.',
+        { code: 'InvalidParameterException' });
     }
     if (!/^[\w-]+_.+$/.test(UserPoolId)) {
-      throw new Error('Invalid UserPoolId format.');
+      throw new CognitoError('Invalid UserPoolId format.', { code: 'InvalidParameterException' });
     }
     const region = UserPoolId.split('_')[0];
 
     this.userPoolId = UserPoolId;
     this.clientId = ClientId;
+    this.clientSecret = data.ClientSecret || null;
     this.paranoia = Paranoia || 0;
+    this.expiryBuffer = data.ExpiryBuffer || 0;
+    this.clockDrift = 0;
+    const storage = data.Storage || new MemoryStorage();
+    this.storage = new StorageHelper(data.StorageEncryption ?
+      new EncryptedStorage(storage, data.StorageEncryption) : storage);
+
+    this.clientMetadata = data.ClientMetadata || null;
+    this.domain = data.Domain || null;
+    this.refreshLock = null;
+    if (data.RefreshLock) {
+      const refreshLock = data.RefreshLock === true ? {} : data.RefreshLock;
+      this.refreshLock = {
+        Ttl: refreshLock.Ttl || 10000,
+        PollInterval: refreshLock.PollInterval || 100,
+      };
+    }
+    this.inFlight = {};
+    this.clientCredentials = null;
+
+    const retryPolicy = data.RetryPolicy === false ? { MaxAttempts: 1 } : data.RetryPolicy || {};
+    this.retryPolicy = {
+      MaxAttempts: retryPolicy.MaxAttempts || 3,
+      BaseDelay: retryPolicy.BaseDelay != null ? retryPolicy.BaseDelay : 100,
+      MaxDelay: retryPolicy.MaxDelay != null ? retryPolicy.MaxDelay : 5000,
+      Jitter: retryPolicy.Jitter !== false,
+      RetryableCodes: retryPolicy.RetryableCodes || null,
+      RetryOperations: retryPolicy.RetryOperations || [],
+    };
 
-    this.client = new CognitoIdentityServiceProvider({ apiVersion: '2016-04-19', region });
+    // Retries are left to the RetryPolicy, which knows which requests are safe to repeat.
+    this.client = new CognitoIdentityServiceProvider({
+      apiVersion: '2016-04-19',
+      region,
+      maxRetries: 0,
+    });
+
+    this.adminClient = data.AdminClient || null;
+    if (this.adminClient == null && data.AdminCredentials != null) {
+      this.adminClient = new CognitoIdentityServiceProvider({
+        apiVersion: '2016-04-19',
+        region,
+        credentials: data.AdminCredentials,
+        maxRetries: 0,
+      });
+    }
+
+    this.adminAuth = data.AdminAuth === true;
+    if (this.adminAuth && this.adminClient == null) {
+      throw new CognitoError('AdminAuth requires AdminCredentials or an AdminClient.',
+        { code: 'InvalidParameterException' });
+    }
   }
 
   /**
@@ -62,6 +195,150 @@ module.exports = class CognitoUserPool {
     return this.clientId;
   }
 
+  /**
+   * Merges the ClientMetadata of a request over the pool's
+   * @param {object=} clientMetadata Key-value pairs given to the request.
+   * @returns {object} the ClientMetadata to send, or undefined if there is none
+   */
+  getClientMetadata(clientMetadata) {
+    const merged = Object.assign({}, this.clientMetadata, clientMetadata);
+    return Object.keys(merged).length > 0 ? merged : undefined;
+  }
+
+  /**
+   * @returns {object} the retry policy of requests to Cognito
+   */
+  getRetryPolicy() {
+    return this.retryPolicy;
+  }
+
+  /**
+   * @returns {string} the pool domain, or null if none was given
+   */
+  getDomain() {
+    return this.domain;
+  }
+
+  /**
+   * @returns {bool} if users of this pool authenticate through the admin APIs
+   */
+  isAdminMode() {
+    return this.adminAuth;
+  }
+
+  /**
+   * @returns {AWS.CognitoIdentityServiceProvider} the signing client of the admin APIs,
+   *          or null if the pool has no admin credentials
+   */
+  getAdminClient() {
+    return this.adminClient;
+  }
+
+  /**
+   * @returns {string} the client secret, or null if the app client has none
+   */
+  getClientSecret() {
+    return this.clientSecret;
+  }
+
+  /**
+   * Computes the SECRET_HASH that Cognito requires from app clients with a secret.
+   * It is the Base64 encoded HMAC-SHA256 of the username followed by the client id,
+   * keyed with the client secret.
+   * @param {string} username The username the request is made for.
+   * @returns {string} the secret hash, or undefined if the app client has no secret
+   */
+  calculateSecretHash(username) {
+    if (!this.clientSecret) {
+      return undefined;
+    }
+
+    const mac = new sjcl.misc.hmac(
+      sjcl.codec.utf8String.toBits(this.clientSecret), sjcl.hash.sha256);
+    mac.update(sjcl.codec.utf8String.toBits(`${username}${this.clientId}`));
+    return sjcl.codec.base64.fromBits(mac.digest());
+  }
+
+  /**
+   * @returns {StorageHelper} the storage used to cache tokens
+   */
+  getStorage() {
+    return this.storage;
+  }
+
+  /**
+   * @returns {int} the seconds before expiry at which sessions are refreshed
+   */
+  getExpiryBuffer() {
+    return this.expiryBuffer;
+  }
+
+  /**
+   * @returns {int} the seconds the local clock is ahead of Cognito's, as last estimated
+   */
+  getClockDrift() {
+    return this.clockDrift;
+  }
+
+  /**
+   * sets the clock drift estimate
+   * @param {int} clockDrift Seconds the local clock is ahead of Cognito's.
+   * @returns {void}
+   */
+  setClockDrift(clockDrift) {
+    this.clockDrift = clockDrift;
+  }
+
+  /**
+   * @returns {object} the cross-process refresh lock options, or null if refreshes
+   *          are only coordinated within this process
+   */
+  getRefreshLock() {
+    return this.refreshLock;
+  }
+
+  /**
+   * Gets an access token for machine to machine calls with the client credentials
+   * grant. Tokens are cached on the pool per set of scopes.
+   * @param {string[]=} scopes Resource server scopes to request.
+   * @returns {Promise<CognitoAccessToken>} the access token
+   */
+  async getClientCredentialsToken(scopes) {
+    if (this.clientCredentials == null) {
+      this.clientCredentials = new CognitoClientCredentials({ Pool: this });
+    }
+    return this.clientCredentials.getToken(scopes);
+  }
+
+  /**
+   * Runs a task unless one with the same key is already running for this pool,
+   * in which case its promise is shared
+   * @param {string} key identifies the task
+   * @param {function():Promise} task starts the task
+   * @returns {Promise} the result of the running task
+   * @private
+   */
+  singleFlight(key, task) {
+    if (!Object.prototype.hasOwnProperty.call(this.inFlight, key)) {
+      this.inFlight[key] = Promise.resolve().then(task).finally(() => {
+        delete this.inFlight[key];
+      });
+    }
+    return this.inFlight[key];
+  }
+
+  /**
+   * Builds an Express or Connect middleware which authenticates requests with
+   * tokens of this pool. The verified claims, token and user are attached to
+   * req.cognito.
+   * @param {object=} options Options of CognitoAuthMiddleware, such as TokenUse,
+   *        Cookie, Groups and Scopes.
+   * @returns {function(object, object, function):void} the middleware
+   */
+  authMiddleware(options) {
+    return new CognitoAuthMiddleware(Object.assign({}, options, { Pool: this })).handler();
+  }
+
   /**
    * @returns {int} the paranoia level
    */
@@ -89,17 +366,20 @@ module.exports = class CognitoUserPool {
    * @param {string} password Plain-text initial password entered by user.
    * @param {(AttributeArg[])=} userAttributes New user attributes.
    * @param {(AttributeArg[])=} validationData Application metadata.
-   * @param {nodeCallback<SignUpResult>} callback Called on error or with the new user.
-   * @returns {void}
+   * @param {object=} clientMetadata Key-value pairs for the Lambda triggers, merged
+   *        over the pool's ClientMetadata.
+   * @returns {Promise<SignUpResult>} the new user
    */
-  async signUp(username, password, userAttributes, validationData) {
+  async signUp(username, password, userAttributes, validationData, clientMetadata) {
     return new Promise((resolve, reject) => {
-      this.client.makeUnauthenticatedRequest('signUp', {
+      this.sendRequest('signUp', {
         ClientId: this.clientId,
+        SecretHash: this.calculateSecretHash(username),
         Username: username,
         Password: password,
         UserAttributes: userAttributes,
         ValidationData: validationData,
+        ClientMetadata: this.getClientMetadata(clientMetadata),
       }, (err, data) => {
         if (err) {
           return reject(err);
@@ -122,16 +402,461 @@ module.exports = class CognitoUserPool {
 
 
   /**
-   * method for getting the current user of the application from the local storage
+   * Sends an unauthenticated request to Cognito. Failures are passed to the
+   * callback as CognitoError.
+   * @param {string} operation The operation.
+   * @param {object} params The request parameters.
+   * @param {nodeCallback<object>} callback Called with the error or the response data.
+   * @returns {void}
+   */
+  sendRequest(operation, params, callback) {
+    this.sendWithRetry((done) => {
+      this.client.makeUnauthenticatedRequest(operation, params, done);
+    }, operation, params, callback);
+  }
+
+  /**
+   * Sends a request signed with the admin credentials to Cognito. Failures are
+   * passed to the callback as CognitoError.
+   * @param {string} operation The admin operation.
+   * @param {object} params The request parameters.
+   * @param {nodeCallback<object>} callback Called with the error or the response data.
+   * @returns {void}
+   */
+  sendAdminRequest(operation, params, callback) {
+    if (this.adminClient == null) {
+      callback(new CognitoError('Admin operations require AdminCredentials or an AdminClient.'));
+      return;
+    }
+    this.sendWithRetry((done) => {
+      this.adminClient.makeRequest(operation, params, done);
+    }, operation, params, callback);
+  }
+
+  /**
+   * Sends a request, and sends it again after a backoff delay while it fails with
+   * a retryable error and the retry policy allows it
+   * @param {function(nodeCallback<object>):void} send Sends the request once.
+   * @param {string} operation The operation.
+   * @param {object} params The request parameters.
+   * @param {nodeCallback<object>} callback Called with the error or the response data.
+   * @returns {void}
+   * @private
+   */
+  sendWithRetry(send, operation, params, callback) {
+    const attempt = (attemptNumber) => {
+      send((err, data) => {
+        if (!err) {
+          return callback(null, data);
+        }
+
+        const error = CognitoError.from(err);
+        if (attemptNumber >= this.retryPolicy.MaxAttempts || !this.canRetry(operation, params, error)) {
+          return callback(error);
+        }
+        return setTimeout(() => attempt(attemptNumber + 1), this.getRetryDelay(attemptNumber));
+      });
+    };
+    attempt(1);
+  }
+
+  /**
+   * @param {string} operation The operation.
+   * @param {object} params The request parameters.
+   * @param {CognitoError} error The failure.
+   * @returns {bool} if the request may be sent again
+   * @private
+   */
+  canRetry(operation, params, error) {
+    const retryableCodes = this.retryPolicy.RetryableCodes;
+    const retryable = retryableCodes == null ?
+      error.retryable : retryableCodes.indexOf(error.code) !== -1;
+    if (!retryable) {
+      return false;
+    }
+
+    if (srpChallenges.indexOf(params.ChallengeName) !== -1) {
+      return false;
+    }
+    return idempotentOperations.indexOf(operation) !== -1 ||
+      idempotentAuthFlows.indexOf(params.AuthFlow) !== -1 ||
+      this.retryPolicy.RetryOperations.indexOf(operation) !== -1;
+  }
+
+  /**
+   * @param {int} attemptNumber The attempt that failed, starting at 1.
+   * @returns {int} the milliseconds to wait before the next attempt
+   * @private
+   */
+  getRetryDelay(attemptNumber) {
+    const delay = Math.min(this.retryPolicy.MaxDelay,
+      this.retryPolicy.BaseDelay * Math.pow(2, attemptNumber - 1));
+    return this.retryPolicy.Jitter ? Math.floor(Math.random() * delay) : delay;
+  }
+
+  /**
+   * Sends a request to one of the admin APIs of this pool
+   * @param {string} operation The admin operation.
+   * @param {object} params The request parameters, without the UserPoolId.
+   * @returns {Promise<object>} the response data
+   * @private
+   */
+  async adminRequest(operation, params) {
+    return new Promise((resolve, reject) => {
+      this.sendAdminRequest(operation, Object.assign({
+        UserPoolId: this.userPoolId,
+      }, params), (err, data) => {
+        if (err) {
+          return reject(err);
+        }
+        return resolve(data);
+      });
+    });
+  }
+
+  /**
+   * @typedef {object} AdminUser
+   * @property {CognitoUser} user The user.
+   * @property {CognitoUserAttribute[]} attributes The user's attributes.
+   * @property {string} status The user status, such as CONFIRMED or FORCE_CHANGE_PASSWORD.
+   * @property {bool} enabled If the user is enabled.
+   * @property {Date} created When the user was created.
+   * @property {Date} lastModified When the user was last modified.
+   * @property {string=} preferredMfa The user's preferred MFA method, from adminGetUser.
+   * @property {string[]=} mfaMethods The user's enabled MFA methods, from adminGetUser.
+   */
+  /**
+   * Builds an AdminUser from a user returned by the admin APIs
+   * @param {object} userData The user, as UserType or an AdminGetUser response.
+   * @returns {AdminUser} the user
+   * @private
+   */
+  toAdminUser(userData) {
+    const attributes = (userData.Attributes || userData.UserAttributes || [])
+      .map(attribute => new CognitoUserAttribute(attribute.Name, attribute.Value));
+
+    const adminUser = {
+      user: new CognitoUser({ Username: userData.Username, Pool: this }),
+      attributes,
+      status: userData.UserStatus,
+      enabled: userData.Enabled,
+      created: userData.UserCreateDate,
+      lastModified: userData.UserLastModifiedDate,
+    };
+    if (userData.PreferredMfaSetting !== undefined || userData.UserMFASettingList !== undefined) {
+      adminUser.preferredMfa = userData.PreferredMfaSetting || null;
+      adminUser.mfaMethods = userData.UserMFASettingList || [];
+    }
+    return adminUser;
+  }
+
+  /**
+   * Creates a user as an administrator. Cognito sends the user an invitation with
+   * a temporary password, which must be changed on first sign in.
+   * @param {string} username The new user's username.
+   * @param {object=} options Creation options.
+   * @param {string=} options.TemporaryPassword The temporary password. Cognito
+   *        generates one when it is not given.
+   * @param {(AttributeArg[])=} options.UserAttributes The user's attributes.
+   * @param {(AttributeArg[])=} options.ValidationData Data for the pre sign-up Lambda.
+   * @param {string=} options.MessageAction RESEND to send the invitation again to an
+   *        existing user, or SUPPRESS to send none.
+   * @param {string[]=} options.DesiredDeliveryMediums SMS, EMAIL or both.
+   * @param {bool=} options.ForceAliasCreation Move an email or phone alias to this user.
+   * @param {object=} options.ClientMetadata Key-value pairs for the Lambda triggers,
+   *        merged over the pool's ClientMetadata.
+   * @returns {Promise<AdminUser>} the new user
+   */
+  async adminCreateUser(username, options) {
+    const data = options || {};
+    const result = await this.adminRequest('adminCreateUser', {
+      Username: username,
+      TemporaryPassword: data.TemporaryPassword,
+      UserAttributes: data.UserAttributes,
+      ValidationData: data.ValidationData,
+      MessageAction: data.MessageAction,
+      DesiredDeliveryMediums: data.DesiredDeliveryMediums,
+      ForceAliasCreation: data.ForceAliasCreation,
+      ClientMetadata: this.getClientMetadata(data.ClientMetadata),
+    });
+    return this.toAdminUser(result.User);
+  }
+
+  /**
+   * Gets a user as an administrator
+   * @param {string} username The user's username or alias.
+   * @returns {Promise<AdminUser>} the user
+   */
+  async adminGetUser(username) {
+    return this.toAdminUser(await this.adminRequest('adminGetUser', { Username: username }));
+  }
+
+  /**
+   * Updates attributes of a user as an administrator
+   * @param {string} username The user's username.
+   * @param {AttributeArg[]} attributes The attributes to set.
+   * @returns {Promise<string>} SUCCESS once updated
+   */
+  async adminUpdateUserAttributes(username, attributes) {
+    await this.adminRequest('adminUpdateUserAttributes', {
+      Username: username,
+      UserAttributes: attributes,
+    });
+    return 'SUCCESS';
+  }
+
+  /**
+   * Deletes a user as an administrator
+   * @param {string} username The user's username.
+   * @returns {Promise<string>} SUCCESS once deleted
+   */
+  async adminDeleteUser(username) {
+    await this.adminRequest('adminDeleteUser', { Username: username });
+    return 'SUCCESS';
+  }
+
+  /**
+   * Disables a user as an administrator. The user can no longer sign in, but
+   * tokens already issued stay valid until they expire.
+   * @param {string} username The user's username.
+   * @returns {Promise<string>} SUCCESS once disabled
+   */
+  async adminDisableUser(username) {
+    await this.adminRequest('adminDisableUser', { Username: username });
+    return 'SUCCESS';
+  }
+
+  /**
+   * Enables a disabled user as an administrator
+   * @param {string} username The user's username.
+   * @returns {Promise<string>} SUCCESS once enabled
+   */
+  async adminEnableUser(username) {
+    await this.adminRequest('adminEnableUser', { Username: username });
+    return 'SUCCESS';
+  }
+
+  /**
+   * Resets a user's password as an administrator. The password stops working and
+   * the user is sent a code to set a new one with confirmPassword.
+   * @param {string} username The user's username.
+   * @returns {Promise<string>} SUCCESS once reset
+   */
+  async adminResetUserPassword(username) {
+    await this.adminRequest('adminResetUserPassword', { Username: username });
+    return 'SUCCESS';
+  }
+
+  /**
+   * Sets a user's password as an administrator
+   * @param {string} username The user's username.
+   * @param {string} password The new password.
+   * @param {bool=} permanent If the password is permanent. A password that is not
+   *        must be changed on the next sign in.
+   * @returns {Promise<string>} SUCCESS once set
+   */
+  async adminSetUserPassword(username, password, permanent) {
+    await this.adminRequest('adminSetUserPassword', {
+      Username: username,
+      Password: password,
+      Permanent: !!permanent,
+    });
+    return 'SUCCESS';
+  }
+
+  /**
+   * Confirms a user's sign up as an administrator, without a confirmation code
+   * @param {string} username The user's username.
+   * @returns {Promise<string>} SUCCESS once confirmed
+   */
+  async adminConfirmSignUp(username) {
+    await this.adminRequest('adminConfirmSignUp', { Username: username });
+    return 'SUCCESS';
+  }
+
+  /**
+   * Iterates over the users of the pool as an administrator, following the
+   * pagination tokens, as in for await (const user of pool.users())
+   * @param {object=} options Listing options.
+   * @param {string=} options.filter A ListUsers filter expression, such as
+   *        email ^= "jane".
+   * @param {string[]=} options.attributes Attributes to return. Defaults to all.
+   * @param {int=} options.pageSize Users to request per call, up to 60.
+   * @param {int=} options.maxItems Stop after this many users.
+   * @returns {PaginationHelper} an async iterable of AdminUser
+   */
+  users(options) {
+    const data = options || {};
+    return new PaginationHelper(async (limit, token) => {
+      const result = await this.adminRequest('listUsers', {
+        Filter: data.filter,
+        AttributesToGet: data.attributes,
+        Limit: limit,
+        PaginationToken: token,
+      });
+      return {
+        items: result.Users.map(user => this.toAdminUser(user)),
+        nextToken: result.PaginationToken,
+      };
+    }, data);
+  }
+
+  /**
+   * Iterates over the groups of the pool as an administrator, following the
+   * pagination tokens
+   * @param {object=} options Paging options.
+   * @param {int=} options.pageSize Groups to request per call, up to 60.
+   * @param {int=} options.maxItems Stop after this many groups.
+   * @returns {PaginationHelper} an async iterable of the groups
+   */
+  groups(options) {
+    return new PaginationHelper(async (limit, token) => {
+      const result = await this.adminRequest('listGroups', {
+        Limit: limit,
+        NextToken: token,
+      });
+      return { items: result.Groups, nextToken: result.NextToken };
+    }, options);
+  }
+
+  /**
+   * Creates a group as an administrator
+   * @param {string} groupName The group's name.
+   * @param {object=} options Group options.
+   * @param {string=} options.Description The group's description.
+   * @param {int=} options.Precedence Orders the group's role against those of the user's
+   *        other groups. Lower values take precedence.
+   * @param {string=} options.RoleArn IAM role for members of the group.
+   * @returns {Promise<object>} the group
+   */
+  async createGroup(groupName, options) {
+    const data = options || {};
+    const result = await this.adminRequest('createGroup', {
+      GroupName: groupName,
+      Description: data.Description,
+      Precedence: data.Precedence,
+      RoleArn: data.RoleArn,
+    });
+    return result.Group;
+  }
+
+  /**
+   * Gets a group as an administrator
+   * @param {string} groupName The group's name.
+   * @returns {Promise<object>} the group
+   */
+  async getGroup(groupName) {
+    const result = await this.adminRequest('getGroup', { GroupName: groupName });
+    return result.Group;
+  }
+
+  /**
+   * Updates a group as an administrator
+   * @param {string} groupName The group's name.
+   * @param {object} options The group options to change, as for createGroup.
+   * @returns {Promise<object>} the updated group
+   */
+  async updateGroup(groupName, options) {
+    const data = options || {};
+    const result = await this.adminRequest('updateGroup', {
+      GroupName: groupName,
+      Description: data.Description,
+      Precedence: data.Precedence,
+      RoleArn: data.RoleArn,
+    });
+    return result.Group;
+  }
+
+  /**
+   * Deletes a group as an administrator. Its members are not deleted.
+   * @param {string} groupName The group's name.
+   * @returns {Promise<string>} SUCCESS once deleted
+   */
+  async deleteGroup(groupName) {
+    await this.adminRequest('deleteGroup', { GroupName: groupName });
+    return 'SUCCESS';
+  }
+
+  /**
+   * Iterates over the members of a group as an administrator, following the
+   * pagination tokens
+   * @param {string} groupName The group's name.
+   * @param {object=} options Paging options.
+   * @param {int=} options.pageSize Users to request per call, up to 60.
+   * @param {int=} options.maxItems Stop after this many users.
+   * @returns {PaginationHelper} an async iterable of AdminUser
+   */
+  usersInGroup(groupName, options) {
+    return new PaginationHelper(async (limit, token) => {
+      const result = await this.adminRequest('listUsersInGroup', {
+        GroupName: groupName,
+        Limit: limit,
+        NextToken: token,
+      });
+      return {
+        items: result.Users.map(user => this.toAdminUser(user)),
+        nextToken: result.NextToken,
+      };
+    }, options);
+  }
+
+  /**
+   * Iterates over the groups of a user as an administrator, following the
+   * pagination tokens
+   * @param {string} username The user's username.
+   * @param {object=} options Paging options.
+   * @param {int=} options.pageSize Groups to request per call, up to 60.
+   * @param {int=} options.maxItems Stop after this many groups.
+   * @returns {PaginationHelper} an async iterable of the groups
+   */
+  groupsForUser(username, options) {
+    return new PaginationHelper(async (limit, token) => {
+      const result = await this.adminRequest('adminListGroupsForUser', {
+        Username: username,
+        Limit: limit,
+        NextToken: token,
+      });
+      return { items: result.Groups, nextToken: result.NextToken };
+    }, options);
+  }
+
+  /**
+   * Adds a user to a group as an administrator
+   * @param {string} username The user's username.
+   * @param {string} groupName The group's name.
+   * @returns {Promise<string>} SUCCESS once added
+   */
+  async adminAddUserToGroup(username, groupName) {
+    await this.adminRequest('adminAddUserToGroup', {
+      Username: username,
+      GroupName: groupName,
+    });
+    return 'SUCCESS';
+  }
+
+  /**
+   * Removes a user from a group as an administrator
+   * @param {string} username The user's username.
+   * @param {string} groupName The group's name.
+   * @returns {Promise<string>} SUCCESS once removed
+   */
+  async adminRemoveUserFromGroup(username, groupName) {
+    await this.adminRequest('adminRemoveUserFromGroup', {
+      Username: username,
+      GroupName: groupName,
+    });
+    return 'SUCCESS';
+  }
+
+  /**
+   * method for getting the current user of the application from the pool storage
    *
-   * @returns {CognitoUser} the user retrieved from storage
+   * @returns {Promise<CognitoUser>} the user retrieved from storage
    */
-  getCurrentUser() {
+  async getCurrentUser() {
     const lastUserKey = `CognitoIdentityServiceProvider.${this.clientId}.LastAuthUser`;
-//    const storage = window.localStorage;
-    const storage = new LocalStorage('/tmp/storage');
 
-    const lastAuthUser = storage.getItem(lastUserKey);
+    const lastAuthUser = await this.storage.getItem(lastUserKey);
     if (lastAuthUser) {
       const cognitoUser = {
         Username: lastAuthUser,
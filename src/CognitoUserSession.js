@@ -15,6 +15,33 @@
  * limitations under the License.
  */
 'use strict'
+var crypto = require('crypto');
+
+var CognitoAccessToken = require('./CognitoAccessToken');
+var CognitoError = require('./CognitoError');
+var CognitoIdToken = require('./CognitoIdToken');
+var CognitoRefreshToken = require('./CognitoRefreshToken');
+var EncryptedStorage = require('./EncryptedStorage');
+
+const serializedVersion = '1';
+const algorithm = 'aes-256-gcm';
+const ivLength = 12;
+
+/**
+ * @typedef {object} SessionJSON
+ * @property {string} IdToken The Id token.
+ * @property {string} AccessToken The access token.
+ * @property {string} RefreshToken The refresh token, or an empty string.
+ * @property {int} ClockDrift Seconds the local clock is ahead of Cognito's.
+ */
+
+/**
+ * @typedef {object} SerializeOptions
+ * @property {(string|Buffer)=} EncryptionKey 32 byte key, as a Buffer, base64 or hex,
+ *           to encrypt the session with AES-256-GCM.
+ * @property {(string|Buffer)=} SigningKey Key to sign the session with HMAC-SHA256.
+ */
+
 /** @class */
 module.exports = class CognitoUserSession {
   /**
@@ -22,20 +49,25 @@ module.exports = class CognitoUserSession {
    * @param {string} IdToken The session's Id token.
    * @param {string=} RefreshToken The session's refresh token.
    * @param {string} AccessToken The session's access token.
+   * @param {int=} ClockDrift Seconds the local clock is ahead of Cognito's. Defaults
+   *        to 0, see calculateClockDrift for tokens that were just issued.
    */
   constructor(sessionData) {
 
     var IdToken = sessionData.IdToken;
     var RefreshToken = sessionData.RefreshToken;
     var AccessToken = sessionData.AccessToken;
+    var ClockDrift = sessionData.ClockDrift;
 
     if (AccessToken == null || IdToken == null) {
-      throw new Error('Id token and Access Token must be present.');
+      throw new CognitoError('Id token and Access Token must be present.',
+        { code: 'InvalidParameterException' });
     }
 
     this.idToken = IdToken;
     this.refreshToken = RefreshToken;
     this.accessToken = AccessToken;
+    this.clockDrift = ClockDrift || 0;
   }
 
   /**
@@ -59,14 +91,223 @@ module.exports = class CognitoUserSession {
     return this.accessToken;
   }
 
+  /**
+   * @returns {int} the seconds the local clock is ahead of Cognito's
+   */
+  getClockDrift() {
+    return this.clockDrift;
+  }
+
+  /**
+   * Estimates the clock drift from when tokens were issued. Only tokens that
+   * were issued just now give a meaningful estimate.
+   * @param {CognitoIdToken} idToken The new Id token.
+   * @param {CognitoAccessToken} accessToken The new access token.
+   * @returns {int} the seconds the local clock is ahead of Cognito's
+   */
+  static calculateClockDrift(idToken, accessToken) {
+    const now = Math.floor(new Date() / 1000);
+    const iat = Math.min(accessToken.getIssuedAt(), idToken.getIssuedAt());
+
+    return isNaN(iat) ? 0 : now - iat;
+  }
+
   /**
    * Checks to see if the session is still valid based on session expiry information found
-   * in tokens and the current time
+   * in tokens and the current time, corrected by the clock drift
+   * @param {int=} expiryBuffer Seconds before expiry at which the tokens are
+   *        already treated as expired.
    * @returns {boolean} if the session is still valid
    */
-  isValid() {
+  isValid(expiryBuffer) {
     const now = Math.floor(new Date() / 1000);
+    const adjusted = now - this.clockDrift + (expiryBuffer || 0);
+
+    return adjusted < this.accessToken.getExpiration() &&
+      adjusted < this.idToken.getExpiration();
+  }
+
+  /**
+   * @returns {string[]} the groups the user is in, from the cognito:groups claim
+   *          of the Id and access tokens
+   */
+  getGroups() {
+    const groups = this.idToken.getGroups().concat(this.accessToken.getGroups());
+    return groups.filter((group, index) => groups.indexOf(group) === index);
+  }
+
+  /**
+   * @param {string} groupName The group's name.
+   * @returns {bool} if the user is in the group
+   */
+  isInGroup(groupName) {
+    return this.getGroups().indexOf(groupName) !== -1;
+  }
+
+  /**
+   * @returns {SessionJSON} the session as plain data, as used by JSON.stringify
+   */
+  toJSON() {
+    return {
+      IdToken: this.idToken.getJwtToken(),
+      AccessToken: this.accessToken.getJwtToken(),
+      RefreshToken: this.refreshToken != null ? this.refreshToken.getToken() : '',
+      ClockDrift: this.clockDrift,
+    };
+  }
+
+  /**
+   * Builds a session back from the output of toJSON
+   * @param {(SessionJSON|string)} data The session data, or its JSON text.
+   * @returns {CognitoUserSession} the session
+   */
+  static fromJSON(data) {
+    const sessionData = typeof data === 'string' ? JSON.parse(data) : data;
+    if (sessionData == null || !sessionData.IdToken || !sessionData.AccessToken) {
+      throw new CognitoError('Id token and Access Token must be present.',
+        { code: 'InvalidParameterException' });
+    }
+
+    return new CognitoUserSession({
+      IdToken: new CognitoIdToken({ IdToken: sessionData.IdToken }),
+      AccessToken: new CognitoAccessToken({ AccessToken: sessionData.AccessToken }),
+      RefreshToken: new CognitoRefreshToken({ RefreshToken: sessionData.RefreshToken }),
+      ClockDrift: sessionData.ClockDrift || 0,
+    });
+  }
+
+  /**
+   * Turns the session into a compact string for cookies and external stores.
+   * The string is only encoded unless it is encrypted, which keeps the tokens
+   * secret, or signed, which lets deserialize reject anything not written
+   * with the same key.
+   * @param {SerializeOptions=} options Encryption and signing keys.
+   * @returns {string} the serialized session
+   */
+  serialize(options) {
+    const data = options || {};
+    const json = this.toJSON();
+    const payload = Buffer.from(JSON.stringify([
+      json.IdToken, json.AccessToken, json.RefreshToken, json.ClockDrift,
+    ]), 'utf8');
+
+    const flags = `${data.EncryptionKey != null ? 'e' : 'p'}${data.SigningKey != null ? 's' : ''}`;
+    const header = `${serializedVersion}.${flags}`;
+
+    let body;
+    if (data.EncryptionKey != null) {
+      const iv = crypto.randomBytes(ivLength);
+      const cipher = crypto.createCipheriv(
+        algorithm, EncryptedStorage.parseKey(data.EncryptionKey), iv);
+      cipher.setAAD(Buffer.from(header, 'utf8'));
+      const ciphertext = Buffer.concat([cipher.update(payload), cipher.final()]);
+      body = [iv, cipher.getAuthTag(), ciphertext]
+        .map(part => part.toString('base64url')).join('.');
+    } else {
+      body = payload.toString('base64url');
+    }
+
+    const serialized = `${header}.${body}`;
+    if (data.SigningKey == null) {
+      return serialized;
+    }
+    return `${serialized}.${CognitoUserSession.sign(serialized, data.SigningKey)}`;
+  }
+
+  /**
+   * Builds a session back from the output of serialize. The keys must be the ones
+   * the session was serialized with. A SigningKey rejects unsigned sessions, and
+   * an EncryptionKey rejects sessions that are not encrypted.
+   * @param {string} serialized The serialized session.
+   * @param {SerializeOptions=} options Encryption and signing keys.
+   * @returns {CognitoUserSession} the session
+   */
+  static deserialize(serialized, options) {
+    const data = options || {};
+    const parts = typeof serialized === 'string' ? serialized.split('.') : [];
+    if (parts.length < 3 || parts[0] !== serializedVersion) {
+      throw new CognitoError('Serialized session is not in a supported format.',
+        { code: 'InvalidParameterException' });
+    }
+
+    const flags = parts[1];
+    const encrypted = flags.charAt(0) === 'e';
+    const signed = flags.charAt(1) === 's';
+    if (signed !== (data.SigningKey != null)) {
+      throw new CognitoError(signed ?
+        'Serialized session is signed. A SigningKey is required.' :
+        'Serialized session is not signed.', { code: 'InvalidParameterException' });
+    }
+    if (encrypted !== (data.EncryptionKey != null)) {
+      throw new CognitoError(encrypted ?
+        'Serialized session is encrypted. An EncryptionKey is required.' :
+        'Serialized session is not encrypted.', { code: 'InvalidParameterException' });
+    }
+
+    let bodyParts = parts.slice(2);
+    if (signed) {
+      const signature = Buffer.from(bodyParts.pop(), 'base64url');
+      const expected = Buffer.from(CognitoUserSession.sign(
+        parts.slice(0, parts.length - 1).join('.'), data.SigningKey), 'base64url');
+      if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+        throw new CognitoError('Serialized session signature is invalid.',
+          { code: 'InvalidParameterException' });
+      }
+    }
+
+    let payload;
+    if (encrypted) {
+      if (bodyParts.length !== 3) {
+        throw new CognitoError('Serialized session is not in a supported format.',
+          { code: 'InvalidParameterException' });
+      }
+      const [iv, tag, ciphertext] = bodyParts.map(part => Buffer.from(part, 'base64url'));
+      try {
+        const decipher = crypto.createDecipheriv(
+          algorithm, EncryptedStorage.parseKey(data.EncryptionKey), iv);
+        decipher.setAAD(Buffer.from(`${parts[0]}.${flags}`, 'utf8'));
+        decipher.setAuthTag(tag);
+        payload = Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+      } catch (err) {
+        throw new CognitoError('Serialized session could not be decrypted.',
+          { code: 'InvalidParameterException' });
+      }
+    } else {
+      if (bodyParts.length !== 1) {
+        throw new CognitoError('Serialized session is not in a supported format.',
+          { code: 'InvalidParameterException' });
+      }
+      payload = Buffer.from(bodyParts[0], 'base64url');
+    }
+
+    let fields;
+    try {
+      fields = JSON.parse(payload.toString('utf8'));
+    } catch (err) {
+      throw new CognitoError('Serialized session is not in a supported format.',
+        { code: 'InvalidParameterException' });
+    }
+    if (!Array.isArray(fields)) {
+      throw new CognitoError('Serialized session is not in a supported format.',
+        { code: 'InvalidParameterException' });
+    }
 
-    return now < this.accessToken.getExpiration() && now < this.idToken.getExpiration();
+    return CognitoUserSession.fromJSON({
+      IdToken: fields[0],
+      AccessToken: fields[1],
+      RefreshToken: fields[2],
+      ClockDrift: fields[3],
+    });
+  }
+
+  /**
+   * Computes the signature of a serialized session
+   * @param {string} value The serialized session without its signature.
+   * @param {string|Buffer} key The signing key.
+   * @returns {string} the base64url encoded HMAC-SHA256
+   * @private
+   */
+  static sign(value, key) {
+    return crypto.createHmac('sha256', key).update(value, 'utf8').digest('base64url');
   }
 }
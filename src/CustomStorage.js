@@ -0,0 +1,90 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict'
+const requiredMethods = ['getItem', 'setItem', 'removeItem', 'clear'];
+
+/** @class */
+module.exports = class CustomStorage {
+  /**
+   * Constructs a new CustomStorage object from user supplied functions.
+   * Each function may return its result directly or a promise for it, so
+   * remote stores such as Redis or DynamoDB can be plugged in.
+   * @param {object} methods Storage functions.
+   * @param {function(string):(string|Promise<string>)} methods.getItem Reads an item.
+   * @param {function(string, string):(void|Promise<void>)} methods.setItem Writes an item.
+   * @param {function(string):(void|Promise<void>)} methods.removeItem Removes an item.
+   * @param {function():(void|Promise<void>)} methods.clear Removes all items.
+   * @param {function(string, int):(string|Promise<string>)=} methods.acquireLock Atomically
+   *        takes a lock for a number of milliseconds, returning an owner token or null if
+   *        it is held elsewhere. Used to coordinate session refreshes across processes.
+   * @param {function(string, string):(void|Promise<void>)=} methods.releaseLock Releases
+   *        a lock held by the given owner.
+   */
+  constructor(methods) {
+    if (methods == null) {
+      throw new Error('Storage methods are required.');
+    }
+    requiredMethods.forEach((name) => {
+      if (typeof methods[name] !== 'function') {
+        throw new Error(`Custom storage requires a ${name} function.`);
+      }
+    });
+
+    this.methods = methods;
+
+    if (typeof methods.acquireLock === 'function' && typeof methods.releaseLock === 'function') {
+      this.acquireLock = (key, ttl) => methods.acquireLock(key, ttl);
+      this.releaseLock = (key, owner) => methods.releaseLock(key, owner);
+    }
+  }
+
+  /**
+   * This is used to get a specific key from storage
+   * @param {string} key the key for the item
+   * @returns {string|Promise<string>} the data item
+   */
+  getItem(key) {
+    return this.methods.getItem(key);
+  }
+
+  /**
+   * This is used to set a specific item in storage
+   * @param {string} key the key for the item
+   * @param {string} value the value
+   * @returns {void|Promise<void>}
+   */
+  setItem(key, value) {
+    return this.methods.setItem(key, value);
+  }
+
+  /**
+   * This is used to remove an item from storage
+   * @param {string} key the key being removed
+   * @returns {void|Promise<void>}
+   */
+  removeItem(key) {
+    return this.methods.removeItem(key);
+  }
+
+  /**
+   * This is used to clear the storage
+   * @returns {void|Promise<void>}
+   */
+  clear() {
+    return this.methods.clear();
+  }
+}
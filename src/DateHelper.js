@@ -22,10 +22,19 @@ const weekNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
 /** @class */
 module.exports = class DateHelper {
   /**
-   * @returns {string} The current time in "ddd MMM D HH:mm:ss UTC YYYY" format.
+   * Constructs a new DateHelper object
+   * @param {int=} clockDrift Seconds the local clock is ahead of Cognito's.
+   */
+  constructor(clockDrift) {
+    this.clockDrift = clockDrift || 0;
+  }
+
+  /**
+   * @returns {string} The current time, corrected by the clock drift, in
+   * "ddd MMM D HH:mm:ss UTC YYYY" format.
    */
   getNowString() {
-    const now = new Date();
+    const now = new Date(Date.now() - (this.clockDrift * 1000));
 
     const weekDay = weekNames[now.getUTCDay()];
     const month = monthNames[now.getUTCMonth()];
@@ -0,0 +1,243 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict'
+var crypto = require('crypto');
+
+var CognitoError = require('./CognitoError');
+
+const algorithm = 'aes-256-gcm';
+const envelopePrefix = 'enc:v1:';
+const defaultKeyEnvVar = 'COGNITO_STORAGE_KEY';
+const keyLength = 32;
+const ivLength = 12;
+
+/**
+ * @callback keyProvider
+ * @returns {(string|Buffer|Array<string|Buffer>|Promise<string|Buffer|Array<string|Buffer>>)}
+ *   The current key, or a list of keys with the current key first.
+ */
+
+/** @class */
+module.exports = class EncryptedStorage {
+  /**
+   * Constructs a new EncryptedStorage object which encrypts every item with
+   * AES-256-GCM before handing it to the wrapped storage.
+   *
+   * Keys are 32 bytes given as a Buffer, a base64 string or a hex string.
+   * When several keys are given the first one encrypts and all of them
+   * decrypt, so keys can be rotated by prepending a new one. Items written
+   * with an older key are re-encrypted with the current key the first time
+   * they are read. Items that are not encrypted are rejected, unless
+   * AllowPlaintext is set to migrate items written before encryption was enabled.
+   *
+   * @param {object} storage Storage adapter to wrap.
+   * @param {object=} options Key options. The first one set is used.
+   * @param {(string|Buffer|Array<string|Buffer>)=} options.Key Key or keys.
+   * @param {keyProvider=} options.KeyProvider Called on every operation for the keys.
+   * @param {string=} options.KeyEnvVar Environment variable holding the key, or
+   *        comma separated keys. Defaults to COGNITO_STORAGE_KEY.
+   * @param {bool=} options.AllowPlaintext Accept items that are not encrypted and
+   *        encrypt them when read. Anyone able to write to the wrapped storage can
+   *        then plant values, so only enable it while migrating. Defaults to false.
+   */
+  constructor(storage, options) {
+    if (storage == null) {
+      throw new CognitoError('Storage to encrypt is required.',
+        { code: 'InvalidParameterException' });
+    }
+    const data = options || {};
+
+    this.storage = storage;
+    this.key = data.Key;
+    this.keyProvider = data.KeyProvider;
+    this.keyEnvVar = data.KeyEnvVar || defaultKeyEnvVar;
+    this.allowPlaintext = data.AllowPlaintext === true;
+
+    if (this.keyProvider != null && typeof this.keyProvider !== 'function') {
+      throw new CognitoError('KeyProvider must be a function.',
+        { code: 'InvalidParameterException' });
+    }
+    if (this.key == null && this.keyProvider == null && !process.env[this.keyEnvVar]) {
+      throw new CognitoError(`An encryption key is required. Set Key, KeyProvider or ${this.keyEnvVar}.`,
+        { code: 'InvalidParameterException' });
+    }
+
+    // Locks hold no secrets, so atomic locks of the wrapped storage are used as is.
+    if (typeof storage.acquireLock === 'function' && typeof storage.releaseLock === 'function') {
+      this.acquireLock = (key, ttl) => storage.acquireLock(key, ttl);
+      this.releaseLock = (key, owner) => storage.releaseLock(key, owner);
+    }
+  }
+
+  /**
+   * Turns a key given in any supported encoding into a Buffer
+   * @param {string|Buffer} key Raw key.
+   * @returns {Buffer} the key bytes
+   * @private
+   */
+  static parseKey(key) {
+    let keyBuffer;
+    if (Buffer.isBuffer(key)) {
+      keyBuffer = key;
+    } else if (typeof key === 'string' && /^[0-9a-fA-F]{64}$/.test(key)) {
+      keyBuffer = Buffer.from(key, 'hex');
+    } else if (typeof key === 'string') {
+      keyBuffer = Buffer.from(key, 'base64');
+    }
+
+    if (keyBuffer == null || keyBuffer.length !== keyLength) {
+      throw new CognitoError(`Encryption keys must be ${keyLength} bytes.`,
+        { code: 'InvalidParameterException' });
+    }
+    return keyBuffer;
+  }
+
+  /**
+   * Resolves the configured keys, current key first
+   * @returns {Promise<Array<{id: string, key: Buffer}>>} the keys
+   * @private
+   */
+  async getKeys() {
+    let keys;
+    if (this.key != null) {
+      keys = this.key;
+    } else if (this.keyProvider != null) {
+      keys = await this.keyProvider();
+    } else {
+      keys = (process.env[this.keyEnvVar] || '').split(',').filter(key => key.trim());
+    }
+
+    const keyList = (Array.isArray(keys) ? keys : [keys]).filter(key => key != null);
+    if (keyList.length === 0) {
+      throw new CognitoError('No encryption key is available.');
+    }
+
+    return keyList.map((key) => {
+      const keyBuffer = EncryptedStorage.parseKey(typeof key === 'string' ? key.trim() : key);
+      const id = crypto.createHash('sha256').update(keyBuffer).digest('hex').substr(0, 8);
+      return { id, key: keyBuffer };
+    });
+  }
+
+  /**
+   * Encrypts a value. The item key is bound as additional authenticated data
+   * so a ciphertext copied to another item is rejected.
+   * @param {string} itemKey Storage key of the item.
+   * @param {string} value Plaintext value.
+   * @param {{id: string, key: Buffer}} key Key to encrypt with.
+   * @returns {string} the encrypted envelope
+   * @private
+   */
+  encrypt(itemKey, value, key) {
+    const iv = crypto.randomBytes(ivLength);
+    const cipher = crypto.createCipheriv(algorithm, key.key, iv);
+    cipher.setAAD(Buffer.from(itemKey, 'utf8'));
+    const ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+    const tag = cipher.getAuthTag();
+
+    return `${envelopePrefix}${key.id}:${iv.toString('base64')}:${tag.toString('base64')}:${ciphertext.toString('base64')}`;
+  }
+
+  /**
+   * Decrypts an envelope written by encrypt
+   * @param {string} itemKey Storage key of the item.
+   * @param {string} envelope Encrypted envelope.
+   * @param {Array<{id: string, key: Buffer}>} keys Available keys.
+   * @returns {{value: string, keyId: string}} the plaintext and the key that decrypted it
+   * @private
+   */
+  decrypt(itemKey, envelope, keys) {
+    const parts = envelope.substr(envelopePrefix.length).split(':');
+    if (parts.length !== 4) {
+      throw new CognitoError(`Stored item ${itemKey} is malformed.`);
+    }
+    const [keyId, iv, tag, ciphertext] = parts;
+
+    const key = keys.find(candidate => candidate.id === keyId);
+    if (key == null) {
+      throw new CognitoError(`No encryption key is available to decrypt ${itemKey}.`);
+    }
+
+    try {
+      const decipher = crypto.createDecipheriv(algorithm, key.key, Buffer.from(iv, 'base64'));
+      decipher.setAAD(Buffer.from(itemKey, 'utf8'));
+      decipher.setAuthTag(Buffer.from(tag, 'base64'));
+      const value = Buffer.concat([
+        decipher.update(Buffer.from(ciphertext, 'base64')),
+        decipher.final(),
+      ]).toString('utf8');
+      return { value, keyId };
+    } catch (err) {
+      throw new CognitoError(`Stored item ${itemKey} failed integrity check and may have been tampered with.`);
+    }
+  }
+
+  /**
+   * This is used to get a specific key from storage
+   * @param {string} key the key for the item
+   * @returns {Promise<string>} the decrypted item, or null if it is not set
+   */
+  async getItem(key) {
+    const stored = await this.storage.getItem(key);
+    if (stored == null) {
+      return null;
+    }
+
+    const keys = await this.getKeys();
+    if (String(stored).indexOf(envelopePrefix) !== 0) {
+      if (!this.allowPlaintext) {
+        throw new CognitoError(`Stored item ${key} is not encrypted and may have been tampered with.`);
+      }
+      await this.storage.setItem(key, this.encrypt(key, stored, keys[0]));
+      return stored;
+    }
+
+    const decrypted = this.decrypt(key, stored, keys);
+    if (decrypted.keyId !== keys[0].id) {
+      await this.storage.setItem(key, this.encrypt(key, decrypted.value, keys[0]));
+    }
+    return decrypted.value;
+  }
+
+  /**
+   * This is used to set a specific item in storage
+   * @param {string} key the key for the item
+   * @param {string} value the value
+   * @returns {Promise<void>}
+   */
+  async setItem(key, value) {
+    const keys = await this.getKeys();
+    await this.storage.setItem(key, this.encrypt(key, value, keys[0]));
+  }
+
+  /**
+   * This is used to remove an item from storage
+   * @param {string} key the key being removed
+   * @returns {Promise<void>}
+   */
+  async removeItem(key) {
+    await this.storage.removeItem(key);
+  }
+
+  /**
+   * This is used to clear the storage
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this.storage.clear();
+  }
+}
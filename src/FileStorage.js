@@ -0,0 +1,104 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict'
+var fs = require('fs');
+var path = require('path');
+
+var LocalStorage = require('node-localstorage').LocalStorage;
+
+const directoryMode = 0o700;
+const fileMode = 0o600;
+
+/** @class */
+module.exports = class FileStorage {
+  /**
+   * Constructs a new FileStorage object that keeps one file per item
+   * in the given directory. The items hold tokens, so the directory is
+   * only accessible to the owner, and so are the files.
+   * @param {string} directory Directory holding the items. Give each
+   *        tenant its own directory.
+   * @param {int=} quota Maximum size of the directory in bytes.
+   */
+  constructor(directory, quota) {
+    if (!directory) {
+      throw new Error('A storage directory is required.');
+    }
+
+    fs.mkdirSync(directory, { recursive: true, mode: directoryMode });
+    fs.chmodSync(directory, directoryMode);
+    fs.readdirSync(directory).forEach((name) => {
+      fs.chmodSync(path.join(directory, name), fileMode);
+    });
+
+    this.directory = directory;
+    this.localStorage = quota ?
+      new LocalStorage(directory, quota) : new LocalStorage(directory);
+  }
+
+  /**
+   * @returns {string} the directory holding the items
+   */
+  getDirectory() {
+    return this.directory;
+  }
+
+  /**
+   * This is used to get a specific key from storage
+   * @param {string} key the key for the item
+   * @returns {string} the data item, or null if it is not set
+   */
+  getItem(key) {
+    return this.localStorage.getItem(key);
+  }
+
+  /**
+   * This is used to set a specific item in storage
+   * @param {string} key the key for the item
+   * @param {string} value the value
+   * @returns {void}
+   */
+  setItem(key, value) {
+    this.localStorage.setItem(key, value);
+    fs.chmodSync(this.getItemPath(key), fileMode);
+  }
+
+  /**
+   * @param {string} key the key for the item
+   * @returns {string} the path of the file node-localstorage keeps the item in
+   * @private
+   */
+  getItemPath(key) {
+    return path.join(this.directory, encodeURIComponent(key));
+  }
+
+  /**
+   * This is used to remove an item from storage
+   * @param {string} key the key being removed
+   * @returns {void}
+   */
+  removeItem(key) {
+    this.localStorage.removeItem(key);
+  }
+
+  /**
+   * This is used to clear the storage
+   * @returns {void}
+   */
+  clear() {
+    this.localStorage.clear();
+  }
+}
@@ -0,0 +1,64 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict'
+/** @class */
+module.exports = class MemoryStorage {
+  /**
+   * Constructs a new MemoryStorage object. Items live only as long as this
+   * instance, so separate pools never see each other's tokens.
+   */
+  constructor() {
+    this.dataMemory = {};
+  }
+
+  /**
+   * This is used to get a specific key from storage
+   * @param {string} key the key for the item
+   * @returns {string} the data item, or null if it is not set
+   */
+  getItem(key) {
+    return Object.prototype.hasOwnProperty.call(this.dataMemory, key) ?
+      this.dataMemory[key] : null;
+  }
+
+  /**
+   * This is used to set a specific item in storage
+   * @param {string} key the key for the item
+   * @param {string} value the value
+   * @returns {void}
+   */
+  setItem(key, value) {
+    this.dataMemory[key] = String(value);
+  }
+
+  /**
+   * This is used to remove an item from storage
+   * @param {string} key the key being removed
+   * @returns {void}
+   */
+  removeItem(key) {
+    delete this.dataMemory[key];
+  }
+
+  /**
+   * This is used to clear the storage
+   * @returns {void}
+   */
+  clear() {
+    this.dataMemory = {};
+  }
+}
@@ -0,0 +1,91 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict'
+// The largest Limit of ListUsers, ListGroups, ListUsersInGroup,
+// AdminListGroupsForUser and ListDevices.
+const defaultMaxPageSize = 60;
+
+/**
+ * @callback pageFetcher
+ * @param {int=} limit The most items to return, or undefined for the API default.
+ * @param {string=} token The token of the page to fetch, or undefined for the first.
+ * @returns {Promise<{items: Array, nextToken: string}>} the page
+ */
+
+/** @class */
+module.exports = class PaginationHelper {
+  /**
+   * Constructs a new PaginationHelper object, an async iterable over the items of
+   * a paginated listing which fetches the next page once the previous one is used up
+   * @param {pageFetcher} fetchPage Fetches one page.
+   * @param {object=} options Paging options.
+   * @param {int=} options.pageSize Items to request per page.
+   * @param {int=} options.maxItems Stop after this many items.
+   * @param {int=} options.maxPageSize The operation's largest Limit, which no page
+   *        request exceeds. Defaults to 60.
+   */
+  constructor(fetchPage, options) {
+    const data = options || {};
+    this.fetchPage = fetchPage;
+    this.pageSize = data.pageSize || null;
+    this.maxItems = data.maxItems != null ? data.maxItems : null;
+    this.maxPageSize = data.maxPageSize || defaultMaxPageSize;
+  }
+
+  /**
+   * @returns {AsyncIterator} an iterator over the items
+   */
+  async *[Symbol.asyncIterator]() {
+    let count = 0;
+    let token;
+    do {
+      let limit = this.pageSize || undefined;
+      if (this.maxItems != null) {
+        const remaining = this.maxItems - count;
+        if (remaining <= 0) {
+          return;
+        }
+        limit = Math.min(limit || remaining, remaining);
+      }
+      if (limit != null) {
+        limit = Math.min(limit, this.maxPageSize);
+      }
+
+      const page = await this.fetchPage(limit, token);
+      for (const item of page.items || []) {
+        if (this.maxItems != null && count >= this.maxItems) {
+          return;
+        }
+        count++;
+        yield item;
+      }
+      token = page.nextToken;
+    } while (token);
+  }
+
+  /**
+   * Collects all items into an array
+   * @returns {Promise<Array>} the items
+   */
+  async toArray() {
+    const items = [];
+    for await (const item of this) {
+      items.push(item);
+    }
+    return items;
+  }
+}
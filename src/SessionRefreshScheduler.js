@@ -0,0 +1,189 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict'
+var EventEmitter = require('events').EventEmitter;
+
+var CognitoError = require('./CognitoError');
+
+const maxTimeout = 0x7fffffff;
+
+/** @class */
+module.exports = class SessionRefreshScheduler extends EventEmitter {
+  /**
+   * Constructs a new SessionRefreshScheduler object which refreshes a user's
+   * session shortly before its access or Id token expires. Its timers are
+   * unref'd, so they never keep the process alive.
+   *
+   * Emits 'refreshed' with the new session after each refresh, and 'failed'
+   * with the error and { attempt, willRetry } after each failed attempt.
+   * Each refresh request is already retried following the pool's RetryPolicy;
+   * when it still fails with a transient error, the scheduler tries again with
+   * a longer exponential backoff. It stops after any other failure or once its
+   * retries are used up.
+   *
+   * @param {CognitoUser} user The user whose session is refreshed.
+   * @param {object=} options Scheduling options.
+   * @param {int=} options.RefreshBefore Seconds before expiry to refresh. Defaults to 60.
+   * @param {int=} options.MaxRetries Retries after transient failures. Defaults to 5.
+   * @param {int=} options.RetryBaseDelay Milliseconds before the first retry, doubled
+   *        for each further one. Defaults to 1000.
+   * @param {int=} options.MaxRetryDelay Longest wait between retries in milliseconds.
+   *        Defaults to 60000.
+   */
+  constructor(user, options) {
+    super();
+    const data = options || {};
+
+    this.user = user;
+    this.refreshBefore = data.RefreshBefore != null ? data.RefreshBefore : 60;
+    this.maxRetries = data.MaxRetries != null ? data.MaxRetries : 5;
+    this.retryBaseDelay = data.RetryBaseDelay != null ? data.RetryBaseDelay : 1000;
+    this.maxRetryDelay = data.MaxRetryDelay != null ? data.MaxRetryDelay : 60000;
+
+    this.timer = null;
+    this.attempt = 0;
+    this.running = false;
+  }
+
+  /**
+   * @returns {bool} if refreshes are scheduled
+   */
+  isRunning() {
+    return this.running;
+  }
+
+  /**
+   * Starts scheduling refreshes for the user's current session
+   * @returns {void}
+   */
+  start() {
+    const session = this.user.getSignInUserSession();
+    if (session == null) {
+      throw new CognitoError.NotAuthenticatedError();
+    }
+
+    this.running = true;
+    this.attempt = 0;
+    this.scheduleNext(session);
+  }
+
+  /**
+   * Stops scheduling refreshes
+   * @returns {void}
+   */
+  stop() {
+    this.running = false;
+    this.clearTimer();
+  }
+
+  /**
+   * @returns {void}
+   * @private
+   */
+  clearTimer() {
+    if (this.timer != null) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Runs a callback after a delay on an unref'd timer
+   * @param {int} delay Milliseconds to wait.
+   * @returns {void}
+   * @private
+   */
+  schedule(delay) {
+    this.clearTimer();
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.refresh();
+    }, Math.min(Math.max(delay, 0), maxTimeout));
+    if (typeof this.timer.unref === 'function') {
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Schedules the refresh for a session
+   * @param {CognitoUserSession} session The session to refresh.
+   * @returns {void}
+   * @private
+   */
+  scheduleNext(session) {
+    const expiration = Math.min(
+      session.getAccessToken().getExpiration(),
+      session.getIdToken().getExpiration());
+    const refreshAt = expiration + session.getClockDrift() - this.refreshBefore;
+
+    this.schedule((refreshAt * 1000) - Date.now());
+  }
+
+  /**
+   * Refreshes the session, unless it was refreshed elsewhere in the meantime
+   * @returns {Promise<void>}
+   * @private
+   */
+  async refresh() {
+    if (!this.running) {
+      return;
+    }
+
+    const session = this.user.getSignInUserSession();
+    if (session == null) {
+      this.stop();
+      return;
+    }
+    if (this.attempt === 0 && session.isValid(this.refreshBefore)) {
+      this.scheduleNext(session);
+      return;
+    }
+
+    try {
+      const refreshed = await this.user.refreshSession(session.getRefreshToken());
+      if (!this.running) {
+        return;
+      }
+      this.attempt = 0;
+      this.scheduleNext(refreshed);
+      this.emit('refreshed', refreshed);
+    } catch (err) {
+      if (!this.running) {
+        return;
+      }
+      this.attempt += 1;
+      const willRetry = this.isTransient(err) && this.attempt <= this.maxRetries;
+      if (willRetry) {
+        this.schedule(Math.min(
+          this.retryBaseDelay * Math.pow(2, this.attempt - 1),
+          this.maxRetryDelay));
+      } else {
+        this.stop();
+      }
+      this.emit('failed', err, { attempt: this.attempt, willRetry });
+    }
+  }
+
+  /**
+   * @param {*} err A failed refresh's error.
+   * @returns {bool} if the refresh may succeed when tried again
+   * @private
+   */
+  isTransient(err) {
+    return err != null && CognitoError.from(err).retryable;
+  }
+}
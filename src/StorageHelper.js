@@ -0,0 +1,138 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict'
+var crypto = require('crypto');
+
+var MemoryStorage = require('./MemoryStorage');
+
+const requiredMethods = ['getItem', 'setItem', 'removeItem', 'clear'];
+
+/** @class */
+module.exports = class StorageHelper {
+  /**
+   * Constructs a new StorageHelper object around a storage adapter.
+   * The adapter may be synchronous or return promises; the helper
+   * always returns promises.
+   * @param {object=} storage Adapter with getItem, setItem, removeItem
+   *        and clear methods. Defaults to a new MemoryStorage.
+   */
+  constructor(storage) {
+    const adapter = storage || new MemoryStorage();
+
+    requiredMethods.forEach((name) => {
+      if (typeof adapter[name] !== 'function') {
+        throw new Error(`Storage must implement ${name}.`);
+      }
+    });
+
+    this.storage = adapter;
+  }
+
+  /**
+   * @returns {object} the wrapped storage adapter
+   */
+  getStorage() {
+    return this.storage;
+  }
+
+  /**
+   * This is used to get a specific key from storage
+   * @param {string} key the key for the item
+   * @returns {Promise<string>} the data item, or null if it is not set
+   */
+  async getItem(key) {
+    const value = await this.storage.getItem(key);
+    return value == null ? null : value;
+  }
+
+  /**
+   * This is used to set a specific item in storage
+   * @param {string} key the key for the item
+   * @param {string} value the value
+   * @returns {Promise<void>}
+   */
+  async setItem(key, value) {
+    await this.storage.setItem(key, value);
+  }
+
+  /**
+   * This is used to remove an item from storage
+   * @param {string} key the key being removed
+   * @returns {Promise<void>}
+   */
+  async removeItem(key) {
+    await this.storage.removeItem(key);
+  }
+
+  /**
+   * This is used to clear the storage
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this.storage.clear();
+  }
+
+  /**
+   * Tries to take a lock shared by everything using this storage. Adapters
+   * can provide atomic acquireLock and releaseLock methods, for example backed
+   * by Redis SET NX. Otherwise the lock is an item holding its owner and expiry,
+   * which is written and read back, and only keeps out writers that are not
+   * racing for it at the same instant.
+   * @param {string} key the key for the lock
+   * @param {int} ttl milliseconds after which the lock expires if not released
+   * @returns {Promise<string>} the owner token to release the lock with, or null
+   *          if the lock is held by someone else
+   */
+  async acquireLock(key, ttl) {
+    if (typeof this.storage.acquireLock === 'function') {
+      const owner = await this.storage.acquireLock(key, ttl);
+      return owner == null ? null : owner;
+    }
+
+    const current = await this.getItem(key);
+    if (current != null && parseInt(current.split(':')[1], 10) > Date.now()) {
+      return null;
+    }
+
+    const owner = crypto.randomBytes(16).toString('hex');
+    await this.setItem(key, `${owner}:${Date.now() + ttl}`);
+    const written = await this.getItem(key);
+    if (written == null || written.split(':')[0] !== owner) {
+      return null;
+    }
+    return owner;
+  }
+
+  /**
+   * Releases a lock taken with acquireLock, unless it has since expired and
+   * been taken by someone else
+   * @param {string} key the key for the lock
+   * @param {string} owner the owner token returned by acquireLock
+   * @returns {Promise<void>}
+   */
+  async releaseLock(key, owner) {
+    if (typeof this.storage.releaseLock === 'function') {
+      await this.storage.releaseLock(key, owner);
+      return;
+    }
+
+    const current = await this.getItem(key);
+    if (current != null && current.split(':')[0] === owner) {
+      await this.removeItem(key);
+    }
+  }
+}
@@ -0,0 +1,108 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict'
+var crypto = require('crypto');
+
+const base32Alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/** @class */
+module.exports = class TotpHelper {
+  /**
+   * Constructs a new TotpHelper object which computes RFC 6238 time-based
+   * one-time passwords, the codes authenticator apps show for a software token
+   * @param {object=} data Creation options.
+   * @param {int=} data.Digits Length of the codes. Cognito uses 6.
+   * @param {int=} data.Period Seconds each code is valid for. Cognito uses 30.
+   */
+  constructor(data) {
+    const options = data || {};
+    this.digits = options.Digits || 6;
+    this.period = options.Period || 30;
+  }
+
+  /**
+   * Decodes a base32 secret such as the SecretCode returned by associateSoftwareToken
+   * @param {string} secret Base32 encoded secret.
+   * @returns {Buffer} the secret bytes
+   * @private
+   */
+  decodeSecret(secret) {
+    const cleaned = String(secret).toUpperCase().replace(/[\s=-]/g, '');
+    const bytes = [];
+    let bits = 0;
+    let value = 0;
+
+    for (let i = 0; i < cleaned.length; i++) {
+      const index = base32Alphabet.indexOf(cleaned[i]);
+      if (index === -1) {
+        throw new Error('Secret is not valid base32.');
+      }
+      value = (value << 5) | index;
+      bits += 5;
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 0xff);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+
+  /**
+   * Generates the code for a point in time
+   * @param {string} secret Base32 encoded secret.
+   * @param {int=} time Milliseconds since the epoch. Defaults to now.
+   * @returns {string} the code, zero padded to the configured number of digits
+   */
+  generate(secret, time) {
+    const now = time == null ? Date.now() : time;
+    const counter = Math.floor(now / 1000 / this.period);
+
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeUInt32BE(Math.floor(counter / 0x100000000), 0);
+    counterBuffer.writeUInt32BE(counter % 0x100000000, 4);
+
+    const hmac = crypto.createHmac('sha1', this.decodeSecret(secret))
+      .update(counterBuffer).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = ((hmac[offset] & 0x7f) << 24) |
+      (hmac[offset + 1] << 16) |
+      (hmac[offset + 2] << 8) |
+      hmac[offset + 3];
+
+    const code = String(binary % Math.pow(10, this.digits));
+    return (new Array(this.digits - code.length + 1).join('0')) + code;
+  }
+
+  /**
+   * Builds the otpauth:// URI authenticator apps read from QR codes
+   * @param {string} secret Base32 encoded secret.
+   * @param {string} accountName Account shown in the app, usually the username.
+   * @param {string=} issuer Service shown in the app.
+   * @returns {string} the otpauth URI
+   */
+  getUri(secret, accountName, issuer) {
+    const label = issuer ?
+      `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}` :
+      encodeURIComponent(accountName);
+    let uri = `otpauth://totp/${label}?secret=${encodeURIComponent(secret)}`;
+    if (issuer) {
+      uri += `&issuer=${encodeURIComponent(issuer)}`;
+    }
+    return `${uri}&algorithm=SHA1&digits=${this.digits}&period=${this.period}`;
+  }
+}
@@ -18,12 +18,37 @@
 module.exports = {
   AuthenticationDetails : require('./AuthenticationDetails'),
   AuthenticationHelper : require('./AuthenticationHelper'),
+  ChallengeRequiredError : require('./CognitoError').ChallengeRequiredError,
+  CodeMismatchError : require('./CognitoError').CodeMismatchError,
   CognitoAccessToken : require('./CognitoAccessToken'),
+  CognitoAuthMiddleware : require('./CognitoAuthMiddleware'),
+  CognitoClientCredentials : require('./CognitoClientCredentials'),
+  CognitoError : require('./CognitoError'),
   CognitoIdToken : require('./CognitoIdToken'),
+  CognitoJwtToken : require('./CognitoJwtToken'),
+  CognitoJwtVerifier : require('./CognitoJwtVerifier'),
+  CognitoOAuthClient : require('./CognitoOAuthClient'),
   CognitoRefreshToken : require('./CognitoRefreshToken'),
   CognitoUser : require('./CognitoUser'),
   CognitoUserAttribute : require('./CognitoUserAttribute'),
+  CognitoUserCredentials : require('./CognitoUserCredentials'),
   CognitoUserPool : require('./CognitoUserPool'),
   CognitoUserSession : require('./CognitoUserSession'),
+  CustomStorage : require('./CustomStorage'),
   DateHelper : require('./DateHelper'),
+  EncryptedStorage : require('./EncryptedStorage'),
+  ExpiredCodeError : require('./CognitoError').ExpiredCodeError,
+  FileStorage : require('./FileStorage'),
+  LimitExceededError : require('./CognitoError').LimitExceededError,
+  MemoryStorage : require('./MemoryStorage'),
+  NotAuthenticatedError : require('./CognitoError').NotAuthenticatedError,
+  NotAuthorizedError : require('./CognitoError').NotAuthorizedError,
+  PaginationHelper : require('./PaginationHelper'),
+  PasswordResetRequiredError : require('./CognitoError').PasswordResetRequiredError,
+  SessionRefreshScheduler : require('./SessionRefreshScheduler'),
+  StorageHelper : require('./StorageHelper'),
+  TooManyRequestsError : require('./CognitoError').TooManyRequestsError,
+  TotpHelper : require('./TotpHelper'),
+  UserNotConfirmedError : require('./CognitoError').UserNotConfirmedError,
+  UserNotFoundError : require('./CognitoError').UserNotFoundError,
 }
@@ -0,0 +1,63 @@
+'use strict'
+var assert = require('assert');
+var test = require('node:test');
+
+var CognitoAuthMiddleware = require('../src/CognitoAuthMiddleware');
+var CognitoJwtVerifier = require('../src/CognitoJwtVerifier');
+var CognitoUserPool = require('../src/CognitoUserPool');
+var { jwt } = require('./helpers');
+
+const pool = new CognitoUserPool({ UserPoolId: 'us-east-1_abc', ClientId: 'client' });
+
+// Runs the middleware on a request with the token, resolving with the
+// response it sent, or with the request and the error passed to next.
+function run(middleware, token) {
+  const req = { headers: { authorization: `Bearer ${token}` } };
+  return new Promise((resolve) => {
+    const res = {
+      headers: {},
+      setHeader(name, value) {
+        this.headers[name] = value;
+      },
+      end(body) {
+        resolve({ res: this, body: JSON.parse(body) });
+      },
+    };
+    middleware.handler()(req, res, err => resolve({ req, err }));
+  });
+}
+
+test('answers invalid tokens with a generic 401', async () => {
+  const middleware = new CognitoAuthMiddleware({
+    Pool: pool,
+    Verifier: new CognitoJwtVerifier({ Pool: pool, Jwks: { keys: [] } }),
+  });
+  const { res, body } = await run(middleware, jwt({ token_use: 'access' }));
+
+  assert.strictEqual(res.statusCode, 401);
+  assert.deepStrictEqual(body, { error: 'unauthorized', message: 'Token is invalid.' });
+});
+
+test('passes errors loading the keys on to next', async () => {
+  const failure = new Error('Fetching the key set timed out.');
+  const middleware = new CognitoAuthMiddleware({
+    Pool: pool,
+    Verifier: { verify: () => Promise.reject(failure) },
+  });
+  const { err } = await run(middleware, jwt({ token_use: 'access' }));
+
+  assert.strictEqual(err, failure);
+});
+
+test('has no user for client credentials tokens', async () => {
+  const claims = { token_use: 'access', client_id: 'client', scope: 'api/read' };
+  const middleware = new CognitoAuthMiddleware({
+    Pool: pool,
+    Verifier: { verify: () => Promise.resolve(claims) },
+  });
+  const { req, err } = await run(middleware, jwt(claims));
+
+  assert.strictEqual(err, undefined);
+  assert.strictEqual(req.cognito.user, null);
+  assert.strictEqual(req.cognito.tokenUse, 'access');
+});
@@ -0,0 +1,84 @@
+'use strict'
+var assert = require('assert');
+var crypto = require('crypto');
+var test = require('node:test');
+
+var CognitoIdToken = require('../src/CognitoIdToken');
+var CognitoJwtToken = require('../src/CognitoJwtToken');
+var CognitoJwtVerifier = require('../src/CognitoJwtVerifier');
+
+const userPoolId = 'us-east-1_abc';
+const issuer = `https://cognito-idp.us-east-1.amazonaws.com/${userPoolId}`;
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const jwks = { keys: [Object.assign(publicKey.export({ format: 'jwk' }), { kid: 'k1', alg: 'RS256' })] };
+
+function encode(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function sign(claims, header) {
+  const now = Math.floor(Date.now() / 1000);
+  const payload = Object.assign({
+    iss: issuer, aud: 'client', token_use: 'id', sub: 'sub', iat: now, exp: now + 3600,
+  }, claims);
+  const unsigned = `${encode(Object.assign({ alg: 'RS256', kid: 'k1' }, header))}.${encode(payload)}`;
+  const signature = crypto.sign('RSA-SHA256', Buffer.from(unsigned), privateKey);
+  return `${unsigned}.${signature.toString('base64url')}`;
+}
+
+function verifier(options) {
+  return new CognitoJwtVerifier(Object.assign({ UserPoolId: userPoolId, ClientId: 'client', Jwks: jwks }, options));
+}
+
+test('verifies a signed token', async () => {
+  const payload = await verifier().verify(new CognitoIdToken({ IdToken: sign({ email: 'a@b.c' }) }));
+  assert.strictEqual(payload.email, 'a@b.c');
+});
+
+test('rejects a kid that names an Object.prototype member', async () => {
+  for (const kid of ['constructor', '__proto__', 'toString', 'hasOwnProperty']) {
+    await assert.rejects(verifier().verify(sign({}, { kid })), new RegExp(`No key ${kid} `));
+  }
+});
+
+test('skips malformed keys of the key set', async () => {
+  const keys = [{ kty: 'RSA', kid: 'bad', n: 42, e: 'AQAB' }].concat(jwks.keys);
+  const payload = await verifier({ Jwks: { keys } }).verify(sign({}));
+  assert.strictEqual(payload.sub, 'sub');
+  await assert.rejects(verifier({ Jwks: { keys } }).verify(sign({}, { kid: 'bad' })), /No key bad /);
+});
+
+test('rejects an unknown kid', async () => {
+  await assert.rejects(verifier().verify(sign({}, { kid: 'k2' })), /No key k2 /);
+});
+
+test('rejects a tampered payload', async () => {
+  const parts = sign({}).split('.');
+  parts[1] = encode({ iss: issuer, aud: 'client', token_use: 'id', exp: Date.now() });
+  await assert.rejects(verifier().verify(parts.join('.')), /signature is invalid/);
+});
+
+test('rejects other algorithms', async () => {
+  await assert.rejects(verifier().verify(sign({}, { alg: 'none' })), /algorithm none is not allowed/);
+});
+
+test('checks the claims', async () => {
+  const now = Math.floor(Date.now() / 1000);
+  await assert.rejects(verifier().verify(sign({ iss: 'https://example.com' })), /issuer/);
+  await assert.rejects(verifier().verify(sign({ aud: 'other' })), /issued to client other/);
+  await assert.rejects(verifier().verify(sign({ exp: now - 10 })), /expired/);
+  await assert.rejects(verifier({ TokenUse: 'access' }).verify(sign({})), /Token use id is not access/);
+  assert.ok(await verifier({ Leeway: 30 }).verify(sign({ exp: now - 10 })));
+});
+
+test('rejects values that are not JWTs', async () => {
+  await assert.rejects(verifier().verify('abc'), /not a JWT/);
+  await assert.rejects(verifier().verify('a.b.c'), /not a JWT/);
+});
+
+test('decodes unpadded base64url', () => {
+  assert.strictEqual(CognitoJwtToken.base64UrlDecode('-_8').toString('hex'), 'fbff');
+  assert.strictEqual(CognitoJwtToken.base64UrlDecode('YQ').toString(), 'a');
+  const token = new CognitoJwtToken(`${encode({ alg: 'RS256' })}.${encode({ name: 'ü?>' })}.sig`);
+  assert.deepStrictEqual(token.decodePayload(), { name: 'ü?>' });
+});
@@ -0,0 +1,59 @@
+'use strict'
+var assert = require('assert');
+var test = require('node:test');
+
+var CognitoOAuthClient = require('../src/CognitoOAuthClient');
+var CognitoUserPool = require('../src/CognitoUserPool');
+var { jwt } = require('./helpers');
+
+function oauthClient(tokenResponse) {
+  const pool = new CognitoUserPool({ UserPoolId: 'us-east-1_abc', ClientId: 'client' });
+  const client = new CognitoOAuthClient({
+    Pool: pool,
+    Domain: 'auth.example.com',
+    RedirectUri: 'https://app.example.com/callback',
+    CacheTokens: false,
+  });
+  client.requestTokens = async () => tokenResponse;
+  return client;
+}
+
+function callback(request) {
+  return `https://app.example.com/callback?code=code&state=${request.state}`;
+}
+
+const now = Math.floor(Date.now() / 1000);
+const accessToken = jwt({ token_use: 'access', username: 'bob', iat: now, exp: now + 3600 });
+
+test('checks the nonce and audience of the Id token', async () => {
+  const client = oauthClient({});
+  const request = client.createAuthorizationRequest();
+  const idToken = claims => jwt(Object.assign(
+    { token_use: 'id', aud: 'client', nonce: request.nonce, iat: now, exp: now + 3600 }, claims));
+
+  client.requestTokens = async () => ({ id_token: idToken(), access_token: accessToken });
+  const session = await client.handleCallback(callback(request), request);
+  assert.strictEqual(session.getIdToken().getClaim('nonce'), request.nonce);
+
+  client.requestTokens = async () => ({ id_token: idToken({ nonce: 'other' }), access_token: accessToken });
+  await assert.rejects(client.handleCallback(callback(request), request), /nonce does not match/);
+
+  client.requestTokens = async () => ({ id_token: idToken({ aud: 'other' }), access_token: accessToken });
+  await assert.rejects(client.handleCallback(callback(request), request), /issued to another client/);
+});
+
+test('fails clearly when no Id token comes back for the openid scope', async () => {
+  const client = oauthClient({ access_token: accessToken });
+  const request = client.createAuthorizationRequest();
+  assert.deepStrictEqual(request.scopes, ['openid']);
+
+  await assert.rejects(client.handleCallback(callback(request), request),
+    /no Id token, although the openid scope was requested/);
+});
+
+test('fails clearly when the openid scope was not requested', async () => {
+  const client = oauthClient({ access_token: accessToken });
+  const request = client.createAuthorizationRequest({ Scopes: ['aws.cognito.signin.user.admin'] });
+
+  await assert.rejects(client.handleCallback(callback(request), request), /Request the openid scope/);
+});
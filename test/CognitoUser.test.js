@@ -0,0 +1,261 @@
+'use strict'
+var assert = require('assert');
+var crypto = require('crypto');
+var test = require('node:test');
+
+var AuthenticationDetails = require('../src/AuthenticationDetails');
+var CognitoError = require('../src/CognitoError');
+var CognitoUser = require('../src/CognitoUser');
+var CognitoUserPool = require('../src/CognitoUserPool');
+var MemoryStorage = require('../src/MemoryStorage');
+var { mockClient, now, tokens } = require('./helpers');
+
+const lockKey = 'CognitoIdentityServiceProvider.client.bob.refreshLock';
+
+function pool(options) {
+  return new CognitoUserPool(Object.assign({ UserPoolId: 'us-east-1_abc', ClientId: 'client' }, options));
+}
+
+// Answers refreshes with new tokens, which like Cognito's have no refresh token.
+function refreshHandlers() {
+  return {
+    initiateAuth() {
+      const refreshed = tokens(now());
+      delete refreshed.RefreshToken;
+      return { AuthenticationResult: refreshed };
+    },
+  };
+}
+
+// Caches an expired session of bob in the pool storage, as a sign in would have.
+async function signedIn(userPool, authResult) {
+  const user = CognitoUser.fromSession(userPool, authResult || tokens(now() - 7200),
+    { CacheTokens: true });
+  await user.cacheTokens();
+  return user;
+}
+
+test('shares one refresh between the users of a pool', async () => {
+  const userPool = pool();
+  const calls = mockClient(userPool, refreshHandlers());
+  await signedIn(userPool);
+
+  const users = [await userPool.getCurrentUser(), await userPool.getCurrentUser()];
+  const sessions = await Promise.all(users.map(user => user.getSession()));
+
+  assert.deepStrictEqual(calls.map(([operation]) => operation), ['initiateAuth']);
+  assert.strictEqual(sessions[0], sessions[1]);
+  assert.strictEqual(sessions[0].isValid(), true);
+});
+
+test('hashes the secret of a refresh with the username of the access token', async () => {
+  const userPool = pool({ ClientSecret: 'secret' });
+  const calls = mockClient(userPool, refreshHandlers());
+  // Tokens cached under the alias the user signed in with.
+  const expired = tokens(now() - 7200);
+  const aliasPrefix = 'CognitoIdentityServiceProvider.client.bob@example.com';
+  const storage = userPool.getStorage();
+  await storage.setItem(`${aliasPrefix}.idToken`, expired.IdToken);
+  await storage.setItem(`${aliasPrefix}.accessToken`, expired.AccessToken);
+  await storage.setItem(`${aliasPrefix}.refreshToken`, expired.RefreshToken);
+
+  const user = new CognitoUser({ Username: 'bob@example.com', Pool: userPool });
+  await user.getSession();
+
+  const [[operation, params]] = calls;
+  assert.strictEqual(operation, 'initiateAuth');
+  assert.strictEqual(params.AuthFlow, 'REFRESH_TOKEN_AUTH');
+  assert.strictEqual(params.AuthParameters.SECRET_HASH, userPool.calculateSecretHash('bob'));
+  assert.notStrictEqual(params.AuthParameters.SECRET_HASH,
+    userPool.calculateSecretHash('bob@example.com'));
+});
+
+test('waits for the refresh of another process holding the refresh lock', async () => {
+  const storage = new MemoryStorage();
+  const userPool = pool({ Storage: storage, RefreshLock: { Ttl: 1000, PollInterval: 5 } });
+  const otherPool = pool({ Storage: storage });
+  const calls = mockClient(userPool, refreshHandlers());
+  await signedIn(userPool);
+
+  const owner = await otherPool.getStorage().acquireLock(lockKey, 1000);
+  const refreshing = (await userPool.getCurrentUser()).getSession();
+
+  await new Promise(resolve => setTimeout(resolve, 20));
+  const refreshed = tokens(now());
+  await signedIn(otherPool, refreshed);
+  await otherPool.getStorage().releaseLock(lockKey, owner);
+
+  const session = await refreshing;
+  assert.deepStrictEqual(calls, []);
+  assert.strictEqual(session.getAccessToken().getJwtToken(), refreshed.AccessToken);
+});
+
+test('refreshes itself once the refresh lock is free', async () => {
+  const userPool = pool({ RefreshLock: { Ttl: 1000, PollInterval: 5 } });
+  const calls = mockClient(userPool, refreshHandlers());
+  await signedIn(userPool);
+
+  const session = await (await userPool.getCurrentUser()).getSession();
+
+  assert.deepStrictEqual(calls.map(([operation]) => operation), ['initiateAuth']);
+  assert.strictEqual(session.isValid(), true);
+  assert.strictEqual(await userPool.getStorage().getItem(lockKey), null);
+});
+
+const devicePrefix = 'CognitoIdentityServiceProvider.client.bob';
+
+// The parameters of an SRP challenge, for the user or the device.
+function srpChallenge(challengeName) {
+  return {
+    ChallengeName: challengeName,
+    Session: challengeName,
+    ChallengeParameters: {
+      USER_ID_FOR_SRP: 'bob',
+      SRP_B: crypto.randomBytes(64).toString('hex'),
+      SALT: crypto.randomBytes(16).toString('hex'),
+      SECRET_BLOCK: crypto.randomBytes(32).toString('base64'),
+    },
+  };
+}
+
+// Remembers a device of bob, cached under his username as a sign in would have.
+async function rememberDevice(userPool) {
+  const storage = userPool.getStorage();
+  await storage.setItem(`${devicePrefix}.deviceKey`, 'us-east-1_device');
+  await storage.setItem(`${devicePrefix}.deviceGroupKey`, 'group');
+  await storage.setItem(`${devicePrefix}.randomPasswordKey`, 'password');
+}
+
+// Signs bob in with his email, an alias Cognito answers with the username bob.
+function signInWithAlias(userPool) {
+  const user = new CognitoUser({ Username: 'bob@example.com', Pool: userPool });
+  return user.authenticateUser(new AuthenticationDetails({
+    Username: 'bob@example.com',
+    Password: 'password',
+  }));
+}
+
+function challengeNames(calls) {
+  return calls.map(([operation, params]) =>
+    `${params.ChallengeName || operation}:${(params.ChallengeResponses || params.AuthParameters).DEVICE_KEY}`);
+}
+
+test('signs in with the device remembered under the username of an alias', async () => {
+  const userPool = pool();
+  await rememberDevice(userPool);
+  const calls = mockClient(userPool, {
+    initiateAuth: () => srpChallenge('PASSWORD_VERIFIER'),
+    respondToAuthChallenge(params) {
+      if (params.ChallengeName === 'PASSWORD_VERIFIER') {
+        return { ChallengeName: 'DEVICE_SRP_AUTH', Session: 'device' };
+      }
+      if (params.ChallengeName === 'DEVICE_SRP_AUTH') {
+        return srpChallenge('DEVICE_PASSWORD_VERIFIER');
+      }
+      return { AuthenticationResult: tokens(now()) };
+    },
+  });
+
+  const result = await signInWithAlias(userPool);
+
+  assert.strictEqual(result.type, 'SESSION');
+  assert.deepStrictEqual(challengeNames(calls), [
+    'initiateAuth:undefined',
+    'PASSWORD_VERIFIER:us-east-1_device',
+    'DEVICE_SRP_AUTH:us-east-1_device',
+    'DEVICE_PASSWORD_VERIFIER:us-east-1_device',
+  ]);
+});
+
+test('signs in again as a new device when the device was forgotten', async () => {
+  const userPool = pool();
+  await rememberDevice(userPool);
+  const calls = mockClient(userPool, {
+    initiateAuth: () => srpChallenge('PASSWORD_VERIFIER'),
+    respondToAuthChallenge(params) {
+      if (params.ChallengeName === 'DEVICE_SRP_AUTH') {
+        throw Object.assign(new Error('Device does not exist.'),
+          { code: 'ResourceNotFoundException' });
+      }
+      return params.ChallengeResponses.DEVICE_KEY != null ?
+        { ChallengeName: 'DEVICE_SRP_AUTH', Session: 'device' } :
+        { AuthenticationResult: tokens(now()) };
+    },
+  });
+
+  const result = await signInWithAlias(userPool);
+
+  assert.strictEqual(result.type, 'SESSION');
+  assert.deepStrictEqual(challengeNames(calls), [
+    'initiateAuth:undefined',
+    'PASSWORD_VERIFIER:us-east-1_device',
+    'DEVICE_SRP_AUTH:us-east-1_device',
+    'initiateAuth:undefined',
+    'PASSWORD_VERIFIER:undefined',
+  ]);
+  assert.strictEqual(await userPool.getStorage().getItem(`${devicePrefix}.deviceKey`), null);
+});
+
+test('keeps the device when a sign in fails for another missing resource', async () => {
+  const userPool = pool();
+  await rememberDevice(userPool);
+  const calls = mockClient(userPool, {
+    initiateAuth: () => srpChallenge('PASSWORD_VERIFIER'),
+    respondToAuthChallenge() {
+      throw Object.assign(new Error('User pool client client does not exist.'),
+        { code: 'ResourceNotFoundException' });
+    },
+  });
+
+  await assert.rejects(signInWithAlias(userPool), /User pool client client does not exist/);
+
+  assert.strictEqual(calls.length, 2);
+  assert.strictEqual(await userPool.getStorage().getItem(`${devicePrefix}.deviceKey`),
+    'us-east-1_device');
+});
+
+test('signs out locally when the global sign out fails', async () => {
+  const userPool = pool();
+  const signedInTokens = tokens(now());
+  await signedIn(userPool, signedInTokens);
+  await rememberDevice(userPool);
+  const calls = mockClient(userPool, {
+    globalSignOut() {
+      throw Object.assign(new Error('Access Token has been revoked'),
+        { code: 'NotAuthorizedException' });
+    },
+    revokeToken: () => ({}),
+  });
+
+  const user = await userPool.getCurrentUser();
+  await assert.rejects(user.signOut({ global: true, revoke: true }), (err) => {
+    assert.ok(err instanceof CognitoError);
+    assert.match(err.message, /^Signed out locally, but globalSignOut failed: Access Token has been revoked$/);
+    assert.deepStrictEqual(err.errors.map(failure => failure.operation), ['globalSignOut']);
+    assert.ok(err.errors[0].error instanceof CognitoError.NotAuthorizedError);
+    return true;
+  });
+
+  assert.deepStrictEqual(calls.map(([operation]) => operation), ['globalSignOut', 'revokeToken']);
+  assert.strictEqual(calls[0][1].AccessToken, signedInTokens.AccessToken);
+  assert.strictEqual(calls[1][1].Token, 'refresh');
+  assert.strictEqual(user.getSignInUserSession(), null);
+  assert.strictEqual(await userPool.getCurrentUser(), null);
+  assert.strictEqual(await userPool.getStorage().getItem(`${devicePrefix}.accessToken`), null);
+  assert.strictEqual(await userPool.getStorage().getItem(`${devicePrefix}.deviceKey`), null);
+});
+
+test('signs a user from getCurrentUser out globally, refreshing its session first', async () => {
+  const userPool = pool();
+  await signedIn(userPool);
+  const handlers = refreshHandlers();
+  handlers.globalSignOut = () => ({});
+  const calls = mockClient(userPool, handlers);
+
+  const user = await userPool.getCurrentUser();
+  assert.strictEqual(await user.globalSignOut(), 'SUCCESS');
+
+  assert.deepStrictEqual(calls.map(([operation]) => operation), ['initiateAuth', 'globalSignOut']);
+  assert.strictEqual(calls[1][1].AccessToken,
+    user.getSignInUserSession().getAccessToken().getJwtToken());
+});
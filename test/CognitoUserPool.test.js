@@ -0,0 +1,162 @@
+'use strict'
+var assert = require('assert');
+var test = require('node:test');
+
+var CognitoError = require('../src/CognitoError');
+var CognitoUser = require('../src/CognitoUser');
+var CognitoUserPool = require('../src/CognitoUserPool');
+var { now, tokens } = require('./helpers');
+
+// A pool whose client fails the first failures requests with code.
+function failingPool(failures, code, retryPolicy) {
+  const pool = new CognitoUserPool({
+    UserPoolId: 'us-east-1_abc',
+    ClientId: 'client',
+    RetryPolicy: retryPolicy !== undefined ? retryPolicy : { BaseDelay: 1, Jitter: false },
+  });
+  const calls = [];
+  pool.client = {
+    makeUnauthenticatedRequest(operation, params, callback) {
+      calls.push(operation);
+      if (calls.length <= failures) {
+        const err = Object.assign(new Error(`${code} ${calls.length}`), { code });
+        setImmediate(() => callback(err));
+        return;
+      }
+      setImmediate(() => callback(null, { ok: true }));
+    },
+  };
+  return { pool, calls };
+}
+
+function send(pool, operation, params) {
+  return new Promise((resolve, reject) => {
+    pool.sendRequest(operation, params || {}, (err, data) => (err ? reject(err) : resolve(data)));
+  });
+}
+
+test('retries idempotent requests that fail with retryable errors', async () => {
+  const { pool, calls } = failingPool(2, 'ThrottlingException');
+  assert.deepStrictEqual(await send(pool, 'getUser'), { ok: true });
+  assert.strictEqual(calls.length, 3);
+});
+
+test('gives up after MaxAttempts with a typed error', async () => {
+  const { pool, calls } = failingPool(5, 'TooManyRequestsException');
+  await assert.rejects(send(pool, 'listDevices'), (err) => {
+    assert.ok(err instanceof CognitoError.TooManyRequestsError);
+    assert.strictEqual(err.retryable, true);
+    return true;
+  });
+  assert.strictEqual(calls.length, 3);
+});
+
+test('does not retry errors that are not retryable', async () => {
+  const { pool, calls } = failingPool(1, 'NotAuthorizedException');
+  await assert.rejects(send(pool, 'getUser'), CognitoError.NotAuthorizedError);
+  assert.strictEqual(calls.length, 1);
+});
+
+test('does not retry requests that can send codes or run triggers again', async () => {
+  const operations = [
+    ['initiateAuth', { AuthFlow: 'CUSTOM_AUTH' }],
+    ['initiateAuth', { AuthFlow: 'USER_PASSWORD_AUTH' }],
+    ['updateUserAttributes'],
+    ['forgetDevice'],
+    ['adminConfirmSignUp'],
+    ['signUp'],
+  ];
+  for (const [operation, params] of operations) {
+    const { pool, calls } = failingPool(1, 'ThrottlingException');
+    await assert.rejects(send(pool, operation, params), /ThrottlingException 1/);
+    assert.strictEqual(calls.length, 1, operation);
+  }
+});
+
+test('retries token refreshes', async () => {
+  const { pool, calls } = failingPool(1, 'InternalErrorException');
+  await send(pool, 'initiateAuth', { AuthFlow: 'REFRESH_TOKEN_AUTH' });
+  assert.strictEqual(calls.length, 2);
+});
+
+test('retries the operations named in RetryOperations', async () => {
+  const { pool, calls } = failingPool(1, 'ThrottlingException',
+    { BaseDelay: 1, RetryOperations: ['initiateAuth', 'respondToAuthChallenge'] });
+  await send(pool, 'initiateAuth', { AuthFlow: 'CUSTOM_AUTH' });
+  assert.strictEqual(calls.length, 2);
+
+  // SRP challenge answers carry a timestamp, they are never sent again.
+  const srp = failingPool(1, 'ThrottlingException',
+    { BaseDelay: 1, RetryOperations: ['respondToAuthChallenge'] });
+  await assert.rejects(send(srp.pool, 'respondToAuthChallenge', { ChallengeName: 'PASSWORD_VERIFIER' }));
+  assert.strictEqual(srp.calls.length, 1);
+});
+
+test('does not retry with RetryPolicy false', async () => {
+  const { pool, calls } = failingPool(1, 'ThrottlingException', false);
+  await assert.rejects(send(pool, 'getUser'));
+  assert.strictEqual(calls.length, 1);
+});
+
+test('shares a running task between callers with the same key', async () => {
+  const { pool } = failingPool(0);
+  let runs = 0;
+  const task = () => new Promise(resolve => setImmediate(() => resolve(++runs)));
+
+  const results = await Promise.all([
+    pool.singleFlight('refresh.bob', task),
+    pool.singleFlight('refresh.bob', task),
+    pool.singleFlight('refresh.alice', task),
+  ]);
+  assert.deepStrictEqual(results, [1, 1, 2]);
+
+  // Once settled, the next call runs the task again, also after a failure.
+  await assert.rejects(pool.singleFlight('refresh.bob', () => Promise.reject(new Error('failed'))),
+    /failed/);
+  assert.strictEqual(await pool.singleFlight('refresh.bob', task), 3);
+});
+
+// A user whose session expires in 30 seconds, so auto refresh starts at once.
+function expiringUser(pool) {
+  return CognitoUser.fromSession(pool, tokens(now(), 30));
+}
+
+// Collects the scheduler's 'failed' events until it stops.
+async function refreshFailures(scheduler) {
+  const failures = [];
+  // The scheduler's timers are unref'd, keep the test process alive meanwhile.
+  const keepAlive = setTimeout(() => {}, 10000);
+  await new Promise(resolve => scheduler.on('failed', (err, details) => {
+    failures.push([err, details]);
+    if (!details.willRetry) {
+      resolve();
+    }
+  }));
+  clearTimeout(keepAlive);
+  return failures;
+}
+
+test('backs off in the scheduler after the pool retries of a refresh', async () => {
+  const { pool, calls } = failingPool(10, 'ThrottlingException');
+  const scheduler = expiringUser(pool).startAutoRefresh({ MaxRetries: 1, RetryBaseDelay: 1 });
+  const failures = await refreshFailures(scheduler);
+
+  assert.deepStrictEqual(failures.map(([err, details]) => [err.code, details]), [
+    ['ThrottlingException', { attempt: 1, willRetry: true }],
+    ['ThrottlingException', { attempt: 2, willRetry: false }],
+  ]);
+  assert.strictEqual(scheduler.isRunning(), false);
+  assert.strictEqual(calls.length, 2 * pool.getRetryPolicy().MaxAttempts);
+});
+
+test('stops refreshing after an error that is not transient', async () => {
+  const { pool, calls } = failingPool(10, 'NotAuthorizedException');
+  const scheduler = expiringUser(pool).startAutoRefresh({ RetryBaseDelay: 1 });
+  const failures = await refreshFailures(scheduler);
+
+  assert.deepStrictEqual(failures.map(([err, details]) => [err.code, details]), [
+    ['NotAuthorizedException', { attempt: 1, willRetry: false }],
+  ]);
+  assert.strictEqual(scheduler.isRunning(), false);
+  assert.strictEqual(calls.length, 1);
+});
@@ -0,0 +1,217 @@
+'use strict'
+var assert = require('assert');
+var test = require('node:test');
+
+var CognitoAccessToken = require('../src/CognitoAccessToken');
+var CognitoError = require('../src/CognitoError');
+var CognitoIdToken = require('../src/CognitoIdToken');
+var CognitoOAuthClient = require('../src/CognitoOAuthClient');
+var CognitoRefreshToken = require('../src/CognitoRefreshToken');
+var CognitoUser = require('../src/CognitoUser');
+var CognitoUserPool = require('../src/CognitoUserPool');
+var CognitoUserSession = require('../src/CognitoUserSession');
+var { jwt, now, tokens } = require('./helpers');
+
+function session(authResult, clockDrift) {
+  return new CognitoUserSession({
+    IdToken: new CognitoIdToken(authResult),
+    AccessToken: new CognitoAccessToken(authResult),
+    RefreshToken: new CognitoRefreshToken(authResult),
+    ClockDrift: clockDrift,
+  });
+}
+
+
+test('defaults the clock drift to 0 for tokens issued earlier', () => {
+  const restored = session(tokens(now() - 1800));
+  assert.strictEqual(restored.getClockDrift(), 0);
+  assert.strictEqual(restored.isValid(), true);
+});
+
+test('estimates the clock drift of new tokens', () => {
+  const authResult = tokens(now() - 120);
+  const drift = CognitoUserSession.calculateClockDrift(
+    new CognitoIdToken(authResult), new CognitoAccessToken(authResult));
+  assert.ok(drift >= 120 && drift <= 121);
+});
+
+test('applies the clock drift to isValid', () => {
+  const authResult = tokens(now() - 3500);
+  assert.strictEqual(session(authResult).isValid(), true);
+  assert.strictEqual(session(authResult, -200).isValid(), false);
+  assert.strictEqual(session(authResult).isValid(200), false);
+});
+
+test('estimates the clock drift when Cognito issues tokens', () => {
+  const pool = new CognitoUserPool({ UserPoolId: 'us-east-1_abc', ClientId: 'client' });
+  const user = new CognitoUser({ Username: 'bob', Pool: pool });
+
+  const signedIn = user.getCognitoUserSession(tokens(now() - 300));
+  assert.ok(signedIn.getClockDrift() >= 300);
+  assert.strictEqual(pool.getClockDrift(), signedIn.getClockDrift());
+});
+
+test('estimates the clock drift in the hosted UI callback', async () => {
+  const pool = new CognitoUserPool({ UserPoolId: 'us-east-1_abc', ClientId: 'client' });
+  const client = new CognitoOAuthClient({
+    Pool: pool,
+    Domain: 'auth.example.com',
+    RedirectUri: 'https://app.example.com/callback',
+  });
+  const authResult = tokens(now() - 300);
+  client.requestTokens = async () => ({
+    id_token: authResult.IdToken,
+    access_token: authResult.AccessToken,
+    refresh_token: authResult.RefreshToken,
+  });
+
+  const request = { state: 'state', nonce: 'nonce', codeVerifier: 'verifier' };
+  const result = await client.handleCallback('https://app.example.com/callback?code=c&state=state', request);
+  assert.ok(result.getClockDrift() >= 300);
+});
+
+test('does not estimate the clock drift of restored sessions', () => {
+  const pool = new CognitoUserPool({ UserPoolId: 'us-east-1_abc', ClientId: 'client' });
+  const restored = session(tokens(now() - 1800));
+  const user = CognitoUser.fromSession(pool, CognitoUserSession.fromJSON(restored.toJSON()));
+
+  assert.strictEqual(user.signInUserSession.getClockDrift(), 0);
+  assert.strictEqual(user.signInUserSession.isValid(), true);
+});
+
+const encryptionKey = Buffer.alloc(32, 7);
+const signingKey = 'cookie-secret';
+
+test('round-trips serialized sessions', () => {
+  const original = session(tokens(now()), 5);
+  const variants = [{}, { EncryptionKey: encryptionKey }, { SigningKey: signingKey },
+    { EncryptionKey: encryptionKey, SigningKey: signingKey }];
+
+  variants.forEach((keys) => {
+    const restored = CognitoUserSession.deserialize(original.serialize(keys), keys);
+    assert.deepStrictEqual(restored.toJSON(), original.toJSON());
+  });
+  assert.deepStrictEqual(
+    CognitoUserSession.fromJSON(JSON.stringify(original)).toJSON(), original.toJSON());
+});
+
+test('keeps encrypted sessions secret', () => {
+  const original = session(tokens(now()));
+  const serialized = original.serialize({ EncryptionKey: encryptionKey });
+  assert.strictEqual(serialized.indexOf(original.getAccessToken().getJwtToken()), -1);
+  assert.strictEqual(serialized.indexOf(Buffer.from('refresh').toString('base64url')), -1);
+});
+
+test('rejects sessions that are not encrypted when an EncryptionKey is given', () => {
+  const original = session(tokens(now()));
+  assert.throws(() => CognitoUserSession.deserialize(original.serialize(),
+    { EncryptionKey: encryptionKey }), /not encrypted/);
+
+  // A signed but unencrypted session must not pass for an encrypted one.
+  const keys = { EncryptionKey: encryptionKey, SigningKey: signingKey };
+  assert.throws(() => CognitoUserSession.deserialize(
+    original.serialize({ SigningKey: signingKey }), keys), /not encrypted/);
+});
+
+test('rejects sessions that are not signed when a SigningKey is given', () => {
+  const original = session(tokens(now()));
+  assert.throws(() => CognitoUserSession.deserialize(original.serialize(),
+    { SigningKey: signingKey }), /not signed/);
+  assert.throws(() => CognitoUserSession.deserialize(
+    original.serialize({ SigningKey: signingKey })), /SigningKey is required/);
+  assert.throws(() => CognitoUserSession.deserialize(
+    original.serialize({ EncryptionKey: encryptionKey })), /EncryptionKey is required/);
+});
+
+test('rejects tampered sessions', () => {
+  const original = session(tokens(now()));
+
+  const signed = original.serialize({ SigningKey: signingKey }).split('.');
+  signed[2] = session(tokens(now() + 60)).serialize().split('.')[2];
+  assert.throws(() => CognitoUserSession.deserialize(signed.join('.'),
+    { SigningKey: signingKey }), /signature is invalid/);
+
+  const encrypted = original.serialize({ EncryptionKey: encryptionKey }).split('.');
+  encrypted[4] = `${encrypted[4].charAt(0) === 'A' ? 'B' : 'A'}${encrypted[4].slice(1)}`;
+  assert.throws(() => CognitoUserSession.deserialize(encrypted.join('.'),
+    { EncryptionKey: encryptionKey }), /could not be decrypted/);
+  assert.throws(() => CognitoUserSession.deserialize(
+    original.serialize({ EncryptionKey: encryptionKey }),
+    { EncryptionKey: Buffer.alloc(32, 8) }), /could not be decrypted/);
+});
+
+function refreshingPool() {
+  const pool = new CognitoUserPool({ UserPoolId: 'us-east-1_abc', ClientId: 'client' });
+  const calls = [];
+  pool.client = {
+    makeUnauthenticatedRequest(operation, params, callback) {
+      calls.push(operation);
+      const refreshed = tokens(now());
+      delete refreshed.RefreshToken;
+      setImmediate(() => callback(null, { AuthenticationResult: refreshed }));
+    },
+  };
+  return { pool, calls };
+}
+
+test('does not cache the sessions of users restored with fromSession', async () => {
+  const { pool, calls } = refreshingPool();
+  const expired = session(tokens(now() - 7200));
+  const user = CognitoUser.fromSession(pool, expired.serialize({ EncryptionKey: encryptionKey }),
+    { EncryptionKey: encryptionKey });
+
+  const refreshed = await user.getSession();
+  assert.deepStrictEqual(calls, ['initiateAuth']);
+  assert.strictEqual(refreshed.isValid(), true);
+  assert.strictEqual(refreshed.getRefreshToken().getToken(), 'refresh');
+
+  const storage = pool.getStorage();
+  assert.strictEqual(await storage.getItem('CognitoIdentityServiceProvider.client.LastAuthUser'), null);
+  assert.strictEqual(await storage.getItem('CognitoIdentityServiceProvider.client.bob.accessToken'), null);
+  assert.strictEqual(await pool.getCurrentUser(), null);
+});
+
+test('caches the sessions of users restored with CacheTokens', async () => {
+  const { pool } = refreshingPool();
+  const user = CognitoUser.fromSession(pool, session(tokens(now() - 7200)), { CacheTokens: true });
+
+  const refreshed = await user.getSession();
+  const storage = pool.getStorage();
+  assert.strictEqual(await storage.getItem('CognitoIdentityServiceProvider.client.LastAuthUser'), 'bob');
+  assert.strictEqual(await storage.getItem('CognitoIdentityServiceProvider.client.bob.accessToken'),
+    refreshed.getAccessToken().getJwtToken());
+});
+
+test('rejects forged sessions in fromSession when keys are configured', () => {
+  const pool = new CognitoUserPool({ UserPoolId: 'us-east-1_abc', ClientId: 'client' });
+  const keys = { EncryptionKey: encryptionKey, SigningKey: signingKey };
+  const forged = tokens(now());
+  forged.AccessToken = jwt({ token_use: 'access', username: 'bob', 'cognito:groups': ['admins'],
+    iat: now(), exp: now() + 3600 });
+  const json = session(forged).toJSON();
+
+  assert.throws(() => CognitoUser.fromSession(pool, JSON.stringify(json), keys),
+    /must be serialized with the given keys/);
+  assert.throws(() => CognitoUser.fromSession(pool, json, keys),
+    /must be serialized with the given keys/);
+  assert.throws(() => CognitoUser.fromSession(pool, session(forged), { SigningKey: signingKey }),
+    /must be serialized with the given keys/);
+  assert.throws(() => CognitoUser.fromSession(pool, session(forged).serialize(), keys),
+    /not signed/);
+
+  const user = CognitoUser.fromSession(pool, session(tokens(now())).serialize(keys), keys);
+  assert.strictEqual(user.getUsername(), 'bob');
+});
+
+test('rejects malformed tokens in fromSession with a CognitoError', () => {
+  const pool = new CognitoUserPool({ UserPoolId: 'us-east-1_abc', ClientId: 'client' });
+  const malformed = Object.assign(tokens(now()), { AccessToken: 'not.a.jwt' });
+
+  assert.throws(() => CognitoUser.fromSession(pool, malformed), (err) => {
+    assert.ok(err instanceof CognitoError);
+    assert.strictEqual(err.code, 'InvalidParameterException');
+    assert.strictEqual(err.retryable, false);
+    assert.match(err.message, /not a JWT/);
+    return true;
+  });
+});
@@ -0,0 +1,94 @@
+'use strict'
+var assert = require('assert');
+var crypto = require('crypto');
+var test = require('node:test');
+
+var EncryptedStorage = require('../src/EncryptedStorage');
+var MemoryStorage = require('../src/MemoryStorage');
+
+const key = crypto.randomBytes(32);
+
+test('encrypts items and reads them back', async () => {
+  const inner = new MemoryStorage();
+  const storage = new EncryptedStorage(inner, { Key: key });
+
+  await storage.setItem('token', 'secret');
+
+  assert.notStrictEqual(inner.getItem('token'), 'secret');
+  assert.match(inner.getItem('token'), /^enc:v1:/);
+  assert.strictEqual(await storage.getItem('token'), 'secret');
+});
+
+test('returns null for missing items', async () => {
+  const storage = new EncryptedStorage(new MemoryStorage(), { Key: key });
+  assert.strictEqual(await storage.getItem('missing'), null);
+});
+
+test('rejects tampered ciphertext', async () => {
+  const inner = new MemoryStorage();
+  const storage = new EncryptedStorage(inner, { Key: key });
+  await storage.setItem('token', 'secret');
+
+  const parts = inner.getItem('token').split(':');
+  const ciphertext = Buffer.from(parts[5], 'base64');
+  ciphertext[0] ^= 1;
+  parts[5] = ciphertext.toString('base64');
+  inner.setItem('token', parts.join(':'));
+
+  await assert.rejects(storage.getItem('token'), /failed integrity check/);
+});
+
+test('rejects an encrypted item moved to another key', async () => {
+  const inner = new MemoryStorage();
+  const storage = new EncryptedStorage(inner, { Key: key });
+  await storage.setItem('a', 'secret');
+  inner.setItem('b', inner.getItem('a'));
+
+  await assert.rejects(storage.getItem('b'), /failed integrity check/);
+});
+
+test('rejects plaintext items by default', async () => {
+  const inner = new MemoryStorage();
+  const storage = new EncryptedStorage(inner, { Key: key });
+  await storage.setItem('token', 'secret');
+  inner.setItem('token', 'planted');
+
+  await assert.rejects(storage.getItem('token'), /not encrypted/);
+  assert.strictEqual(inner.getItem('token'), 'planted');
+});
+
+test('migrates plaintext items with AllowPlaintext', async () => {
+  const inner = new MemoryStorage();
+  inner.setItem('token', 'legacy');
+  const storage = new EncryptedStorage(inner, { Key: key, AllowPlaintext: true });
+
+  assert.strictEqual(await storage.getItem('token'), 'legacy');
+  assert.match(inner.getItem('token'), /^enc:v1:/);
+  assert.strictEqual(await storage.getItem('token'), 'legacy');
+});
+
+test('re-encrypts items written with an older key', async () => {
+  const oldKey = crypto.randomBytes(32);
+  const inner = new MemoryStorage();
+  await new EncryptedStorage(inner, { Key: oldKey }).setItem('token', 'secret');
+  const before = inner.getItem('token');
+
+  const storage = new EncryptedStorage(inner, { Key: [key, oldKey] });
+  assert.strictEqual(await storage.getItem('token'), 'secret');
+  assert.notStrictEqual(inner.getItem('token'), before);
+
+  const current = new EncryptedStorage(inner, { Key: key });
+  assert.strictEqual(await current.getItem('token'), 'secret');
+});
+
+test('requires a key', () => {
+  const envKey = process.env.COGNITO_STORAGE_KEY;
+  delete process.env.COGNITO_STORAGE_KEY;
+  try {
+    assert.throws(() => new EncryptedStorage(new MemoryStorage()), /encryption key is required/);
+  } finally {
+    if (envKey != null) {
+      process.env.COGNITO_STORAGE_KEY = envKey;
+    }
+  }
+});
@@ -0,0 +1,45 @@
+'use strict'
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var test = require('node:test');
+
+var FileStorage = require('../src/FileStorage');
+
+const skip = process.platform === 'win32';
+
+function tempDirectory() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'cognito-storage-'));
+}
+
+function mode(file) {
+  return fs.statSync(file).mode & 0o777;
+}
+
+test('keeps the items readable by the owner only', { skip }, (t) => {
+  const parent = tempDirectory();
+  t.after(() => fs.rmSync(parent, { recursive: true, force: true }));
+  const directory = path.join(parent, 'cognito');
+
+  const storage = new FileStorage(directory);
+  storage.setItem('CognitoIdentityServiceProvider.client.bob.idToken', 'token');
+
+  assert.strictEqual(mode(directory), 0o700);
+  assert.strictEqual(
+    mode(path.join(directory, 'CognitoIdentityServiceProvider.client.bob.idToken')), 0o600);
+  assert.strictEqual(storage.getItem('CognitoIdentityServiceProvider.client.bob.idToken'), 'token');
+});
+
+test('restricts the modes of an existing directory', { skip }, (t) => {
+  const directory = tempDirectory();
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  fs.chmodSync(directory, 0o755);
+  fs.writeFileSync(path.join(directory, 'refreshToken'), 'token', { mode: 0o644 });
+
+  const storage = new FileStorage(directory);
+
+  assert.strictEqual(mode(directory), 0o700);
+  assert.strictEqual(mode(path.join(directory, 'refreshToken')), 0o600);
+  assert.strictEqual(storage.getItem('refreshToken'), 'token');
+});
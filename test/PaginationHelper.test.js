@@ -0,0 +1,74 @@
+'use strict'
+var assert = require('assert');
+var test = require('node:test');
+
+var CognitoUserPool = require('../src/CognitoUserPool');
+var PaginationHelper = require('../src/PaginationHelper');
+
+// A listing of total items, returning at most 60 per page like Cognito.
+function listing(total) {
+  const requests = [];
+  const fetchPage = async (limit, token) => {
+    requests.push(limit);
+    const start = token ? Number(token) : 0;
+    const end = Math.min(start + (limit || 60), total);
+    const items = [];
+    for (let i = start; i < end; i++) {
+      items.push(i);
+    }
+    return { items, nextToken: end < total ? String(end) : undefined };
+  };
+  return { requests, fetchPage };
+}
+
+test('follows the pagination tokens', async () => {
+  const { requests, fetchPage } = listing(130);
+  const items = await new PaginationHelper(fetchPage).toArray();
+  assert.strictEqual(items.length, 130);
+  assert.deepStrictEqual(requests, [undefined, undefined, undefined]);
+});
+
+test('stops after maxItems', async () => {
+  const { requests, fetchPage } = listing(130);
+  const items = await new PaginationHelper(fetchPage, { pageSize: 25, maxItems: 60 }).toArray();
+  assert.deepStrictEqual(items, Array.from({ length: 60 }, (value, index) => index));
+  assert.deepStrictEqual(requests, [25, 25, 10]);
+});
+
+test('never requests more than 60 items per page', async () => {
+  const { requests, fetchPage } = listing(500);
+  const items = await new PaginationHelper(fetchPage, { maxItems: 200 }).toArray();
+  assert.strictEqual(items.length, 200);
+  assert.deepStrictEqual(requests, [60, 60, 60, 20]);
+
+  const sized = listing(100);
+  await new PaginationHelper(sized.fetchPage, { pageSize: 100 }).toArray();
+  assert.deepStrictEqual(sized.requests, [60, 60]);
+});
+
+test('clamps to the maxPageSize of the operation', async () => {
+  const { requests, fetchPage } = listing(50);
+  await new PaginationHelper(fetchPage, { maxItems: 50, maxPageSize: 20 }).toArray();
+  assert.deepStrictEqual(requests, [20, 20, 10]);
+});
+
+test('sends a valid Limit for users({ maxItems: 200 })', async () => {
+  const limits = [];
+  const pool = new CognitoUserPool({
+    UserPoolId: 'us-east-1_abc',
+    ClientId: 'client',
+    AdminClient: {
+      makeRequest(operation, params, callback) {
+        limits.push(params.Limit);
+        const users = Array.from({ length: params.Limit }, (value, index) => ({
+          Username: `user${index}`, Attributes: [], Enabled: true, UserStatus: 'CONFIRMED',
+        }));
+        setImmediate(() => callback(null, { Users: users, PaginationToken: 'next' }));
+      },
+    },
+  });
+
+  const users = await pool.users({ maxItems: 200 }).toArray();
+  assert.strictEqual(users.length, 200);
+  assert.deepStrictEqual(limits, [60, 60, 60, 20]);
+});
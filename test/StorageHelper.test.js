@@ -0,0 +1,58 @@
+'use strict'
+var assert = require('assert');
+var test = require('node:test');
+
+var MemoryStorage = require('../src/MemoryStorage');
+var StorageHelper = require('../src/StorageHelper');
+
+test('takes and releases the lock item', async () => {
+  const storage = new StorageHelper(new MemoryStorage());
+
+  const owner = await storage.acquireLock('lock', 1000);
+  assert.ok(owner);
+  assert.strictEqual(await storage.acquireLock('lock', 1000), null);
+
+  await storage.releaseLock('lock', 'someone else');
+  assert.strictEqual(await storage.acquireLock('lock', 1000), null);
+
+  await storage.releaseLock('lock', owner);
+  assert.ok(await storage.acquireLock('lock', 1000));
+});
+
+test('takes over an expired lock item', async () => {
+  const storage = new StorageHelper(new MemoryStorage());
+
+  const owner = await storage.acquireLock('lock', -1);
+  const next = await storage.acquireLock('lock', 1000);
+  assert.ok(next);
+  assert.notStrictEqual(next, owner);
+
+  // The first owner no longer holds the lock, so it cannot release it.
+  await storage.releaseLock('lock', owner);
+  assert.strictEqual(await storage.acquireLock('lock', 1000), null);
+});
+
+test('uses the lock functions of the adapter', async () => {
+  const calls = [];
+  const adapter = Object.assign(new MemoryStorage(), {
+    acquireLock(key, ttl) {
+      calls.push(['acquireLock', key, ttl]);
+      return Promise.resolve(calls.length === 1 ? 'owner' : undefined);
+    },
+    releaseLock(key, owner) {
+      calls.push(['releaseLock', key, owner]);
+    },
+  });
+  const storage = new StorageHelper(adapter);
+
+  assert.strictEqual(await storage.acquireLock('lock', 1000), 'owner');
+  assert.strictEqual(await storage.acquireLock('lock', 1000), null);
+  await storage.releaseLock('lock', 'owner');
+
+  assert.deepStrictEqual(calls, [
+    ['acquireLock', 'lock', 1000],
+    ['acquireLock', 'lock', 1000],
+    ['releaseLock', 'lock', 'owner'],
+  ]);
+  assert.deepStrictEqual(await adapter.getItem('lock'), null);
+});
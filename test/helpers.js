@@ -0,0 +1,55 @@
+'use strict'
+
+/**
+ * @returns {int} the current time in seconds
+ */
+function now() {
+  return Math.floor(Date.now() / 1000);
+}
+
+/**
+ * Builds an unsigned JWT, enough for code that only decodes tokens
+ * @param {object} claims The token payload.
+ * @returns {string} the token
+ */
+function jwt(claims) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  return `${encode({ alg: 'RS256', kid: 'k1' })}.${encode(claims)}.sig`;
+}
+
+/**
+ * Builds the tokens of an AuthenticationResult for the user bob
+ * @param {int} issuedAt When the tokens were issued, in seconds.
+ * @param {int=} lifetime Seconds the tokens are valid for. Defaults to an hour.
+ * @returns {object} the IdToken, AccessToken and RefreshToken
+ */
+function tokens(issuedAt, lifetime) {
+  const claims = { sub: 'sub', iat: issuedAt, exp: issuedAt + (lifetime || 3600) };
+  return {
+    IdToken: jwt(Object.assign({ token_use: 'id', aud: 'client', nonce: 'nonce' }, claims)),
+    AccessToken: jwt(Object.assign({ token_use: 'access', username: 'bob' }, claims)),
+    RefreshToken: 'refresh',
+  };
+}
+
+/**
+ * Replaces the client of a pool with one answering each operation with its
+ * handler, which may return a promise or throw
+ * @param {CognitoUserPool} pool The pool.
+ * @param {object} handlers Functions by operation name, called with the params.
+ * @returns {Array} the [operation, params] of every request sent
+ */
+function mockClient(pool, handlers) {
+  const calls = [];
+  pool.client = {
+    makeUnauthenticatedRequest(operation, params, callback) {
+      calls.push([operation, params]);
+      Promise.resolve()
+        .then(() => handlers[operation](params))
+        .then(data => callback(null, data), err => callback(err));
+    },
+  };
+  return calls;
+}
+
+module.exports = { now, jwt, tokens, mockClient };